@@ -2,21 +2,41 @@ import express from 'express';
 import channelRoutes from './src/routes/channelRoutes.js';
 import searchRoutes from './src/routes/searchRoutes.js';
 import embedproxyRoutes from './src/routes/embedproxyRoutes.js';
+import adminRoutes from './src/routes/adminRoutes.js';
+import authRoutes from './src/routes/authRoutes.js';
+import meRoutes from './src/routes/meRoutes.js';
+import feedRoutes from './src/routes/feedRoutes.js';
+import subscriptionRoutes from './src/routes/subscriptionRoutes.js';
+import { warmupPool } from './src/utils/youtubePool.js';
+import { metricsMiddleware } from './src/utils/metrics.js';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
 const app = express();
 const port = 3000;
 
+// Behind a reverse proxy (hop count or address list), so req.ip and req.protocol
+// describe the client; rate limits key on req.ip
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+app.use(metricsMiddleware);
 app.use(express.static(path.join(__dirname, 'public')));
 
 // API routes
 app.use('/api/channel', channelRoutes);
 app.use('/api/search', searchRoutes);
 app.use('/api/embedproxy', embedproxyRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/me', meRoutes);
+app.use('/api/feed', feedRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
 
 // Home page route (ROOT)
 app.get('/', (req, res) => {
@@ -28,6 +48,16 @@ app.get('/watch', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'watch.html'));
 });
 
+// Account page: sign in, watch history
+app.get(['/account', '/history'], (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'account.html'));
+});
+
+// Subscription feed page
+app.get('/subscriptions', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'subscriptions.html'));
+});
+
 app.get('/search', (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'search.html'));
 });
@@ -48,4 +78,5 @@ app.use((req, res, next) => {
 
 app.listen(port, () => {
   console.log(`Server is running on PORT: ${port}`);
+  warmupPool().catch(() => {});
 });
@@ -0,0 +1,436 @@
+import crypto from 'crypto';
+import { promisify } from 'util';
+import {
+  getUser,
+  findUserByName,
+  insertUser,
+  getSession,
+  insertSession,
+  deleteSession,
+  pruneSessions,
+  markChanged,
+  getUserStoreStats
+} from '../utils/userStore.js';
+import { getVideoInfo } from './searchHandlers.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// ==================== CONFIGURATION ====================
+const CONFIG = {
+  USERNAME_PATTERN: /^[a-zA-Z0-9_.-]{3,32}$/,
+  MIN_PASSWORD_LENGTH: 8,
+  TOKEN_BYTES: 32,
+  SESSION_TTL: 180 * 24 * 60 * 60 * 1000,     // 180 days
+  HISTORY_LIMIT: 1000,                        // Oldest entries drop off beyond this
+  IMPORT_LIMIT: 500,
+  SCRYPT_KEY_LENGTH: 64,
+  BACKFILL_DELAY: 500,                        // Between video lookups for imported entries
+  WATCHED_THRESHOLD: 0.9,                     // Fraction of the duration that counts as watched
+  SUBSCRIPTION_LIMIT: 500,
+  MAX_MEDIA_SECONDS: 48 * 60 * 60,            // Upper bound for duration/progress (long archived streams)
+  MAX_ACCOUNTS: parseInt(process.env.MAX_ACCOUNTS) || 10000,
+};
+
+const VIDEO_ID_PATTERN = /^[\w-]{11}$/;
+const CHANNEL_ID_PATTERN = /^UC[\w-]{22}$/;
+
+const backfills = new Set();
+
+// ==================== HELPERS ====================
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const key = await scrypt(password, salt, CONFIG.SCRYPT_KEY_LENGTH);
+  return `scrypt:${salt}:${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, salt, expected] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !expected) return false;
+
+  const key = await scrypt(password, salt, CONFIG.SCRYPT_KEY_LENGTH);
+  const expectedKey = Buffer.from(expected, 'hex');
+  return expectedKey.length === key.length && crypto.timingSafeEqual(key, expectedKey);
+}
+
+function createSession(user) {
+  const token = crypto.randomBytes(CONFIG.TOKEN_BYTES).toString('hex');
+  const now = Date.now();
+  insertSession(hashToken(token), { userId: user.id, createdAt: now, lastUsedAt: now });
+  return token;
+}
+
+function publicUser(user) {
+  return {
+    id: user.id,
+    username: user.username,
+    createdAt: user.createdAt,
+    hasPassword: Boolean(user.passwordHash),
+    historyCount: user.history.length,
+    historyMigrated: user.historyMigrated,
+    subscriptionCount: subscriptionsOf(user).length
+  };
+}
+
+const fail = (status, error) => ({ success: false, status, error });
+
+// Only the fields a client may set; numbers are clamped to sane values
+function cleanHistoryFields(fields = {}) {
+  const clean = {};
+  const text = (value, max) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : undefined);
+  const seconds = value => (Number.isFinite(Number(value)) && Number(value) >= 0
+    ? Math.min(Math.round(Number(value)), CONFIG.MAX_MEDIA_SECONDS)
+    : undefined);
+
+  const values = {
+    title: text(fields.title, 300),
+    channelName: text(fields.channelName, 200),
+    channelId: text(fields.channelId, 100),
+    thumbnail: text(fields.thumbnail, 500),
+    duration: seconds(fields.duration),
+    progress: seconds(fields.progress)
+  };
+
+  for (const [key, value] of Object.entries(values)) {
+    if (value !== undefined) clean[key] = value;
+  }
+  return clean;
+}
+
+// Accounts created before subscriptions existed have no list yet
+function subscriptionsOf(user) {
+  if (!Array.isArray(user.subscriptions)) user.subscriptions = [];
+  return user.subscriptions;
+}
+
+function cleanSubscription(fields = {}) {
+  const text = (value, max) => (typeof value === 'string' && value.trim() ? value.trim().slice(0, max) : null);
+  return {
+    channelId: fields.channelId,
+    name: text(fields.name, 200),
+    handle: text(fields.handle, 100),
+    thumbnail: text(fields.thumbnail, 500)
+  };
+}
+
+// Keep progress within the known duration and recompute the watched flag after
+// either changed
+function applyWatched(item) {
+  if (item.duration > 0 && item.progress > item.duration) item.progress = item.duration;
+  item.watched = item.duration > 0 && item.progress >= item.duration * CONFIG.WATCHED_THRESHOLD;
+  return item;
+}
+
+// ==================== ACCOUNTS ====================
+
+// Without a password the account is token-only: the returned token is the credential
+async function register({ username, password } = {}) {
+  if (!CONFIG.USERNAME_PATTERN.test(username || '')) {
+    return fail(400, 'username must be 3-32 characters: letters, digits, "_", "-" or "."');
+  }
+  if (password !== undefined && password !== null && password !== '' &&
+      String(password).length < CONFIG.MIN_PASSWORD_LENGTH) {
+    return fail(400, `password must be at least ${CONFIG.MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (findUserByName(username)) {
+    return fail(409, 'Username is already taken');
+  }
+  if (getUserStoreStats().users >= CONFIG.MAX_ACCOUNTS) {
+    return fail(503, 'Registration is closed: the account limit has been reached');
+  }
+
+  const user = insertUser({
+    id: crypto.randomUUID(),
+    username,
+    passwordHash: password ? await hashPassword(String(password)) : null,
+    createdAt: Date.now(),
+    history: [],
+    historyMigrated: false
+  });
+
+  console.log(`👤 Registered account: ${username}`);
+  return { success: true, user: publicUser(user), token: createSession(user) };
+}
+
+async function login({ username, password } = {}) {
+  const user = username ? findUserByName(username) : null;
+
+  // Same answer for unknown users, wrong passwords and token-only accounts
+  if (!user || !password || !(await verifyPassword(String(password), user.passwordHash))) {
+    return fail(401, 'Invalid username or password');
+  }
+
+  pruneSessions(CONFIG.SESSION_TTL);
+  return { success: true, user: publicUser(user), token: createSession(user) };
+}
+
+function logout(token) {
+  return { success: deleteSession(hashToken(token || '')) };
+}
+
+// Resolve a bearer token to its user, or null when missing/expired
+function authenticate(token) {
+  if (!token) return null;
+
+  const hash = hashToken(token);
+  const session = getSession(hash);
+  if (!session) return null;
+
+  if (Date.now() - session.createdAt > CONFIG.SESSION_TTL) {
+    deleteSession(hash);
+    return null;
+  }
+
+  session.lastUsedAt = Date.now();
+  return getUser(session.userId);
+}
+
+function getProfile(user) {
+  return { success: true, user: publicUser(user) };
+}
+
+// ==================== WATCH HISTORY ====================
+// user.history is kept most-recent-first:
+// { videoId, title, channelName, channelId, thumbnail, duration, progress, watched,
+//   watchedAt, firstWatchedAt, watchCount, progressUpdatedAt?, migrated? }
+
+function getHistory(user, { start = 1, end = 50 } = {}) {
+  const { history } = user;
+
+  return {
+    success: true,
+    range: { start, end },
+    items: history.slice(Math.max(0, start - 1), end),
+    total: history.length,
+    hasMore: history.length > end
+  };
+}
+
+function getHistoryItem(user, videoId) {
+  const item = user.history.find(entry => entry.videoId === videoId);
+  if (!item) return fail(404, 'Video is not in watch history');
+  return { success: true, item };
+}
+
+// Compact videoId -> position map for resume prompts and progress bars on cards
+function getProgressMap(user) {
+  const progress = {};
+
+  for (const item of user.history) {
+    if (!item.progress && !item.watched) continue;
+    progress[item.videoId] = {
+      progress: item.progress,
+      duration: item.duration || 0,
+      watched: Boolean(item.watched),
+      updatedAt: item.progressUpdatedAt || item.watchedAt || 0
+    };
+  }
+
+  return { success: true, count: Object.keys(progress).length, progress };
+}
+
+// A new watch: moves the video to the top and bumps its watch count
+function recordWatch(user, videoId, fields = {}) {
+  if (!VIDEO_ID_PATTERN.test(videoId || '')) return fail(400, 'Invalid video ID');
+
+  const now = Date.now();
+  const index = user.history.findIndex(item => item.videoId === videoId);
+  const existing = index >= 0 ? user.history.splice(index, 1)[0] : null;
+
+  const item = {
+    ...(existing || { videoId, firstWatchedAt: now, watchCount: 0, progress: 0 }),
+    ...cleanHistoryFields(fields),
+    watchedAt: now
+  };
+  item.watchCount++;
+  delete item.migrated;
+  applyWatched(item);
+
+  user.history.unshift(item);
+  if (user.history.length > CONFIG.HISTORY_LIMIT) {
+    user.history.length = CONFIG.HISTORY_LIMIT;
+  }
+
+  markChanged();
+  return { success: true, item };
+}
+
+// Progress/metadata update for an entry without reordering the list
+function updateHistoryItem(user, videoId, fields = {}) {
+  const item = user.history.find(entry => entry.videoId === videoId);
+  if (!item) return fail(404, 'Video is not in watch history');
+
+  Object.assign(item, cleanHistoryFields(fields), { progressUpdatedAt: Date.now() });
+  applyWatched(item);
+  markChanged();
+  return { success: true, item };
+}
+
+function removeHistoryItem(user, videoId) {
+  const index = user.history.findIndex(item => item.videoId === videoId);
+  if (index < 0) return fail(404, 'Video is not in watch history');
+
+  user.history.splice(index, 1);
+  markChanged();
+  return { success: true, removed: videoId };
+}
+
+function clearHistory(user) {
+  const removed = user.history.length;
+  user.history = [];
+  markChanged();
+  return { success: true, removed };
+}
+
+// One-time migration of the browser's localStorage list (video IDs, newest first).
+// Imported entries go below the existing history since their watch time is unknown;
+// titles and thumbnails are filled in afterwards in the background.
+function importHistory(user, videoIds = []) {
+  if (user.historyMigrated) return fail(409, 'History has already been imported');
+  if (!Array.isArray(videoIds)) return fail(400, 'videoIds must be an array');
+
+  const known = new Set(user.history.map(item => item.videoId));
+  const imported = [];
+
+  for (const videoId of videoIds.slice(0, CONFIG.IMPORT_LIMIT)) {
+    if (!VIDEO_ID_PATTERN.test(videoId) || known.has(videoId)) continue;
+    known.add(videoId);
+    imported.push({
+      videoId,
+      progress: 0,
+      watched: false,
+      watchedAt: null,
+      firstWatchedAt: null,
+      watchCount: 1,
+      migrated: true
+    });
+  }
+
+  user.history.push(...imported);
+  if (user.history.length > CONFIG.HISTORY_LIMIT) {
+    user.history.length = CONFIG.HISTORY_LIMIT;
+  }
+  user.historyMigrated = true;
+  markChanged();
+
+  if (imported.length > 0) backfillHistory(user);
+
+  console.log(`👤 Imported ${imported.length} history entries for ${user.username}`);
+  return { success: true, imported: imported.length, skipped: videoIds.length - imported.length, user: publicUser(user) };
+}
+
+function backfillHistory(user) {
+  if (backfills.has(user.id)) return;
+  backfills.add(user.id);
+
+  (async () => {
+    for (const item of user.history.filter(entry => !entry.title)) {
+      try {
+        const result = await getVideoInfo(item.videoId, { includeComments: false });
+        if (result.success) {
+          const { video } = result;
+          Object.assign(item, cleanHistoryFields({
+            title: video.title,
+            channelName: video.channel?.name,
+            channelId: video.channel?.id,
+            thumbnail: video.thumbnail,
+            duration: video.duration
+          }));
+          markChanged();
+        }
+      } catch (e) {
+        console.log(`⚠️ History backfill failed for ${item.videoId}: ${e.message}`);
+      }
+      await new Promise(r => setTimeout(r, CONFIG.BACKFILL_DELAY));
+    }
+  })().finally(() => backfills.delete(user.id));
+}
+
+// ==================== SUBSCRIPTIONS ====================
+// user.subscriptions, oldest first: { channelId, name, handle, thumbnail, subscribedAt }
+
+function getSubscriptions(user) {
+  const subscriptions = subscriptionsOf(user);
+  return { success: true, total: subscriptions.length, subscriptions };
+}
+
+// Subscribing again only refreshes the stored name/handle/thumbnail
+function subscribe(user, fields = {}) {
+  if (!CHANNEL_ID_PATTERN.test(fields.channelId || '')) return fail(400, 'Invalid channel ID');
+
+  const subscriptions = subscriptionsOf(user);
+  const clean = cleanSubscription(fields);
+  const existing = subscriptions.find(sub => sub.channelId === clean.channelId);
+
+  if (existing) {
+    for (const [key, value] of Object.entries(clean)) {
+      if (value) existing[key] = value;
+    }
+    markChanged();
+    return { success: true, created: false, subscription: existing };
+  }
+
+  if (subscriptions.length >= CONFIG.SUBSCRIPTION_LIMIT) {
+    return fail(400, `Subscription limit of ${CONFIG.SUBSCRIPTION_LIMIT} channels reached`);
+  }
+
+  const subscription = { ...clean, subscribedAt: Date.now() };
+  subscriptions.push(subscription);
+  markChanged();
+  return { success: true, created: true, subscription };
+}
+
+function unsubscribe(user, channelId) {
+  const subscriptions = subscriptionsOf(user);
+  const index = subscriptions.findIndex(sub => sub.channelId === channelId);
+  if (index < 0) return fail(404, 'Not subscribed to this channel');
+
+  subscriptions.splice(index, 1);
+  markChanged();
+  return { success: true, removed: channelId };
+}
+
+// Bulk add (e.g. this browser's localStorage list on sign-in); known channels are skipped
+function importSubscriptions(user, channels = []) {
+  if (!Array.isArray(channels)) return fail(400, 'channels must be an array');
+
+  const subscriptions = subscriptionsOf(user);
+  const known = new Set(subscriptions.map(sub => sub.channelId));
+  let imported = 0;
+
+  for (const channel of channels) {
+    if (subscriptions.length >= CONFIG.SUBSCRIPTION_LIMIT) break;
+
+    const clean = cleanSubscription(typeof channel === 'string' ? { channelId: channel } : channel);
+    if (!CHANNEL_ID_PATTERN.test(clean.channelId || '') || known.has(clean.channelId)) continue;
+
+    known.add(clean.channelId);
+    subscriptions.push({ ...clean, subscribedAt: Date.now() });
+    imported++;
+  }
+
+  if (imported > 0) markChanged();
+  return { success: true, imported, skipped: channels.length - imported, total: subscriptions.length };
+}
+
+export {
+  register,
+  login,
+  logout,
+  authenticate,
+  getProfile,
+  getHistory,
+  getHistoryItem,
+  getProgressMap,
+  recordWatch,
+  updateHistoryItem,
+  removeHistoryItem,
+  clearHistory,
+  importHistory,
+  getSubscriptions,
+  subscribe,
+  unsubscribe,
+  importSubscriptions
+};
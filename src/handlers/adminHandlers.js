@@ -0,0 +1,189 @@
+import { getPoolStats, warmupPool, clearCache as clearPlaylistCache } from './channelHandlers.js';
+import {
+  getCacheStatus,
+  getCacheSummary,
+  clearCache as clearChannelVideoCache,
+  prefetchChannel
+} from './channelallvideosHandlers.js';
+import { getSystemStatus, clearSearchCache, clearCommentCache } from './searchHandlers.js';
+import { getCacheHitRates, renderMetrics } from '../utils/metrics.js';
+import { getCacheStoreStats } from '../utils/cacheStore.js';
+
+// ==================== STATUS ====================
+
+function getAdminStatus() {
+  return {
+    success: true,
+    uptime: Math.round(process.uptime()),
+    memory: process.memoryUsage(),
+    pool: getPoolStats(),
+    search: getSystemStatus(),
+    channelVideos: getCacheSummary(),
+    cacheHitRates: getCacheHitRates(),
+    cacheStore: getCacheStoreStats()
+  };
+}
+
+function getChannelCacheStatus(channelId) {
+  return { success: true, channelId, ...getCacheStatus(channelId) };
+}
+
+async function warmup() {
+  const stats = await warmupPool();
+  return { success: true, pool: stats };
+}
+
+async function prefetch(channelIdentifier) {
+  const started = await prefetchChannel(channelIdentifier);
+  return started
+    ? { success: true, message: `Prefetch started for ${channelIdentifier}` }
+    : { success: false, error: 'Channel not found' };
+}
+
+// scope: playlists | videos | search | comments | all
+function clearCaches(scope = 'all', key = null) {
+  const cleared = [];
+
+  if (scope === 'playlists' || scope === 'all') {
+    clearPlaylistCache();
+    cleared.push('playlists');
+  }
+  if (scope === 'videos' || scope === 'all') {
+    clearChannelVideoCache(key);
+    cleared.push('videos');
+  }
+  if (scope === 'search' || scope === 'all') {
+    clearSearchCache(key);
+    cleared.push('search');
+  }
+  if (scope === 'comments' || scope === 'all') {
+    clearCommentCache(key);
+    cleared.push('comments');
+  }
+
+  return { success: cleared.length > 0, cleared };
+}
+
+// ==================== PROMETHEUS ====================
+
+function getPrometheusMetrics() {
+  const pool = getPoolStats();
+  const search = getSystemStatus();
+  const channelVideos = getCacheSummary();
+  const stores = getCacheStoreStats();
+
+  const instanceSamples = (field) => {
+    const samples = pool.pool.instances.map(inst => ({
+      labels: { location: pool.pool.location, instance: inst.id },
+      value: inst[field]
+    }));
+    for (const inst of pool.player.instances) {
+      samples.push({ labels: { location: 'player', instance: inst.id }, value: inst[field] });
+    }
+    for (const [location, regionPool] of Object.entries(pool.regions)) {
+      for (const inst of regionPool.instances) {
+        samples.push({ labels: { location, instance: inst.id }, value: inst[field] });
+      }
+    }
+    return samples;
+  };
+
+  const consumerSamples = (field) => Object.entries(pool.consumers)
+    .map(([consumer, usage]) => ({ labels: { consumer }, value: usage[field] }));
+
+  return renderMetrics([
+    {
+      name: 'youtube_pool_instances',
+      help: 'Innertube instances in the shared pool',
+      samples: [{ labels: { location: pool.pool.location }, value: pool.pool.totalInstances }]
+    },
+    {
+      name: 'youtube_pool_instance_errors_total',
+      type: 'counter',
+      help: 'Errors seen per pool instance',
+      samples: instanceSamples('errors')
+    },
+    {
+      name: 'youtube_pool_instance_requests_total',
+      type: 'counter',
+      help: 'Requests served per pool instance',
+      samples: instanceSamples('totalRequests')
+    },
+    {
+      name: 'youtube_pool_instance_active_requests',
+      help: 'In-flight requests per pool instance',
+      samples: instanceSamples('activeRequests')
+    },
+    {
+      name: 'youtube_pool_semaphore_waiting',
+      help: 'Requests queued for a pool slot',
+      samples: [{ labels: {}, value: pool.semaphore.waiting }]
+    },
+    {
+      name: 'youtube_pool_consumer_requests_total',
+      type: 'counter',
+      help: 'Pool requests per consumer',
+      samples: consumerSamples('requests')
+    },
+    {
+      name: 'youtube_pool_consumer_errors_total',
+      type: 'counter',
+      help: 'Failed pool requests per consumer (after retries)',
+      samples: consumerSamples('errors')
+    },
+    {
+      name: 'youtube_pool_consumer_avg_latency_ms',
+      help: 'Average pool request latency per consumer',
+      samples: consumerSamples('avgLatencyMs')
+    },
+    {
+      name: 'background_fetches_active',
+      help: 'Background fetches currently running',
+      samples: [
+        { labels: { kind: 'search_and_comments' }, value: search.activeFetches },
+        { labels: { kind: 'channel_videos' }, value: channelVideos.fetching },
+        { labels: { kind: 'playlists' }, value: pool.activeFetches.playlists }
+      ]
+    },
+    {
+      name: 'cache_entries',
+      help: 'Entries currently held per cache',
+      samples: [
+        ...Object.entries(search.caches).map(([cache, size]) => ({ labels: { cache }, value: size })),
+        ...Object.entries(pool.cache).map(([cache, size]) => ({ labels: { cache }, value: size })),
+        { labels: { cache: 'channelVideos' }, value: channelVideos.channels }
+      ]
+    },
+    {
+      name: 'cache_bytes',
+      help: 'Estimated bytes held per cache',
+      samples: Object.entries(stores.namespaces).map(([cache, stats]) => ({ labels: { cache }, value: stats.bytes }))
+    },
+    {
+      name: 'cache_evictions_total',
+      type: 'counter',
+      help: 'Cache evictions by reason (entries/bytes budget, expired)',
+      samples: Object.entries(stores.namespaces).flatMap(([cache, stats]) =>
+        Object.entries(stats.evictions).map(([reason, value]) => ({ labels: { cache, reason }, value })))
+    },
+    {
+      name: 'process_uptime_seconds',
+      help: 'Process uptime in seconds',
+      samples: [{ labels: {}, value: Math.round(process.uptime()) }]
+    },
+    {
+      name: 'process_resident_memory_bytes',
+      help: 'Resident memory size in bytes',
+      samples: [{ labels: {}, value: process.memoryUsage().rss }]
+    }
+  ]);
+}
+
+export {
+  getAdminStatus,
+  getChannelCacheStatus,
+  warmup,
+  prefetch,
+  clearCaches,
+  getPrometheusMetrics
+};
@@ -1,313 +1,73 @@
-import { Innertube, Log } from 'youtubei.js';
 import { resolveChannelId } from './channelallvideosHandlers.js';
-
-// Disable youtubei.js warnings
-Log.setLevel(Log.Level.NONE);
+import { executeWithInstance, getPoolStats as getSharedPoolStats, warmupPool as warmupSharedPool } from '../utils/youtubePool.js';
+import { recordCacheLookup } from '../utils/metrics.js';
+import { createCacheStore, estimateBytes } from '../utils/cacheStore.js';
 
 // ==================== CONFIGURATION ====================
 const CONFIG = {
-  // Pool settings
-  POOL_SIZE: 5,                    // Number of YouTube instances in pool
-  MAX_CONCURRENT_REQUESTS: 20,     // Max parallel requests across all instances
-  MAX_REQUESTS_PER_INSTANCE: 4,    // Max concurrent requests per instance
-
-  // Timeouts
-  INSTANCE_TIMEOUT: 30000,         // 30 seconds
-  REQUEST_TIMEOUT: 25000,          // 25 seconds
-
-  // Instance refresh
-  INSTANCE_MAX_REQUESTS: 100,      // Refresh instance after N requests
-  INSTANCE_MAX_AGE: 1000 * 60 * 15, // Refresh instance after 15 minutes
-
-  // Retry settings
-  MAX_RETRIES: 2,
-  RETRY_DELAY: 500,
-
   // Cache settings
   CACHE_EXPIRY: 1000 * 60 * 30,    // 30 minutes
-};
-
-// ==================== INSTANCE POOL ====================
-class YouTubeInstancePool {
-  constructor() {
-    this.instances = [];
-    this.instanceStats = new Map();
-    this.initPromise = null;
-    this.isInitializing = false;
-  }
-
-  // Generate random visitor data for fresh session
-  generateVisitorData() {
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
-    let result = 'Cgt';
-    for (let i = 0; i < 22; i++) {
-      result += chars.charAt(Math.floor(Math.random() * chars.length));
-    }
-    return result;
-  }
-
-  // Create a single YouTube instance
-  async createInstance() {
-    const instance = await Innertube.create({
-      retrieve_player: false,
-      generate_session_locally: true,
-      enable_session_cache: false,
-      lang: 'en',
-      location: 'US',
-      visitor_data: this.generateVisitorData()
-    });
-
-    const instanceId = `yt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-
-    this.instanceStats.set(instanceId, {
-      createdAt: Date.now(),
-      requestCount: 0,
-      activeRequests: 0,
-      errors: 0,
-      lastUsed: Date.now()
-    });
-
-    return { id: instanceId, instance };
-  }
-
-  // Initialize the pool
-  async initialize() {
-    if (this.initPromise) return this.initPromise;
-    if (this.instances.length >= CONFIG.POOL_SIZE) return;
-
-    this.isInitializing = true;
-    this.initPromise = (async () => {
-      console.log(`🔧 Initializing YouTube instance pool (size: ${CONFIG.POOL_SIZE})...`);
-
-      const createPromises = [];
-      for (let i = 0; i < CONFIG.POOL_SIZE; i++) {
-        createPromises.push(
-          this.createInstance()
-            .then(inst => {
-              this.instances.push(inst);
-              console.log(`   ✅ Instance ${i + 1}/${CONFIG.POOL_SIZE} created`);
-            })
-            .catch(err => {
-              console.error(`   ❌ Failed to create instance ${i + 1}: ${err.message}`);
-            })
-        );
-      }
-
-      await Promise.allSettled(createPromises);
-      console.log(`🎉 Pool initialized with ${this.instances.length} instances`);
-      this.isInitializing = false;
-    })();
-
-    return this.initPromise;
-  }
-
-  // best available instance
-  async getInstance() {
-    await this.initialize();
-
-    if (this.instances.length === 0) {
-      throw new Error('No YouTube instances available');
-    }
-
-    
-    let bestInstance = null;
-    let lowestLoad = Infinity;
-
-    for (const inst of this.instances) {
-      const stats = this.instanceStats.get(inst.id);
-      if (!stats) continue;
-
-      // Skiping if at capacity
-      if (stats.activeRequests >= CONFIG.MAX_REQUESTS_PER_INSTANCE) continue;
-
-      // Checking if instance needs refresh
-      const needsRefresh = 
-        stats.requestCount >= CONFIG.INSTANCE_MAX_REQUESTS ||
-        Date.now() - stats.createdAt >= CONFIG.INSTANCE_MAX_AGE;
-
-      if (needsRefresh && stats.activeRequests === 0) {
-        // Refreshing this instance in background
-        this.refreshInstance(inst.id);
-        continue;
-      }
-
-      // Calculate load score (active requests + error penalty)
-      const loadScore = stats.activeRequests + (stats.errors * 0.5);
-
-      if (loadScore < lowestLoad) {
-        lowestLoad = loadScore;
-        bestInstance = inst;
-      }
-    }
-
-    // If all instances are busy, wait and retry
-    if (!bestInstance) {
-      await new Promise(resolve => setTimeout(resolve, 100));
-      return this.getInstance();
-    }
-
-    return bestInstance;
-  }
-
-  // Acquiring an instance for a request
-  async acquire() {
-    const inst = await this.getInstance();
-    const stats = this.instanceStats.get(inst.id);
-
-    if (stats) {
-      stats.activeRequests++;
-      stats.lastUsed = Date.now();
-    }
-
-    return inst;
-  }
-
-  // Releaseing an instance after request completes
-  release(instanceId, hadError = false) {
-    const stats = this.instanceStats.get(instanceId);
-    if (stats) {
-      stats.activeRequests = Math.max(0, stats.activeRequests - 1);
-      stats.requestCount++;
-      if (hadError) stats.errors++;
-    }
-  }
-
-  // Refreshing a specific instance
-  async refreshInstance(instanceId) {
-    const index = this.instances.findIndex(i => i.id === instanceId);
-    if (index === -1) return;
-
-    try {
-      console.log(`🔄 Refreshing instance ${instanceId.slice(-8)}...`);
-      const newInst = await this.createInstance();
-
-      // Removeing old stats
-      this.instanceStats.delete(instanceId);
-
-      // Replaceing instance
-      this.instances[index] = newInst;
-
-      console.log(`✅ Instance refreshed: ${newInst.id.slice(-8)}`);
-    } catch (err) {
-      console.error(`❌ Failed to refresh instance: ${err.message}`);
-    }
-  }
-
-  // Get pool statistics
-  getStats() {
-    const stats = {
-      totalInstances: this.instances.length,
-      instances: []
-    };
-
-    for (const inst of this.instances) {
-      const instStats = this.instanceStats.get(inst.id);
-      if (instStats) {
-        stats.instances.push({
-          id: inst.id.slice(-8),
-          activeRequests: instStats.activeRequests,
-          totalRequests: instStats.requestCount,
-          errors: instStats.errors,
-          age: Math.round((Date.now() - instStats.createdAt) / 1000) + 's'
-        });
-      }
-    }
 
-    return stats;
-  }
-}
-
-// ==================== REQUEST QUEUE / SEMAPHORE ====================
-class RequestSemaphore {
-  constructor(maxConcurrent) {
-    this.maxConcurrent = maxConcurrent;
-    this.currentCount = 0;
-    this.waitingQueue = [];
-  }
-
-  async acquire() {
-    if (this.currentCount < this.maxConcurrent) {
-      this.currentCount++;
-      return;
-    }
-
-    // Wait in queue
-    return new Promise(resolve => {
-      this.waitingQueue.push(resolve);
-    });
-  }
+  // Channel playlist hydration (the rest are loaded lazily via /playlist/:id)
+  MAX_HYDRATED_PLAYLISTS: 12,      // Max playlist IDs resolved to title/thumbnail/count
+  HYDRATE_CONCURRENCY: 3,          // Summary fetches in flight per channel request
 
-  release() {
-    if (this.waitingQueue.length > 0) {
-      const next = this.waitingQueue.shift();
-      next();
-    } else {
-      this.currentCount = Math.max(0, this.currentCount - 1);
-    }
-  }
+  // Playlist pagination
+  PLAYLIST_MAX_PAGES: 200,         // Max continuation pages walked per playlist
 
-  getStats() {
-    return {
-      active: this.currentCount,
-      waiting: this.waitingQueue.length,
-      max: this.maxConcurrent
-    };
-  }
-}
-
-// ==================== GLOBAL INSTANCES ====================
-const instancePool = new YouTubeInstancePool();
-const requestSemaphore = new RequestSemaphore(CONFIG.MAX_CONCURRENT_REQUESTS);
-const playlistCache = new Map();
-
-// ==================== HELPER: Execute with instance ====================
-async function executeWithInstance(operation, options = {}) {
-  const { 
-    retries = CONFIG.MAX_RETRIES,
-    timeout = CONFIG.REQUEST_TIMEOUT 
-  } = options;
-
-  // Acquire semaphore slot
-  await requestSemaphore.acquire();
-
-  let lastError;
-  let attempts = 0;
-
-  try {
-    while (attempts <= retries) {
-      const inst = await instancePool.acquire();
-
-      try {
-        // Execute with timeout
-        const result = await Promise.race([
-          operation(inst.instance),
-          new Promise((_, reject) => 
-            setTimeout(() => reject(new Error('Request timeout')), timeout)
-          )
-        ]);
-
-        instancePool.release(inst.id, false);
-        return result;
-
-      } catch (error) {
-        lastError = error;
-        instancePool.release(inst.id, true);
-
-        attempts++;
-
-        if (attempts <= retries) {
-          console.log(`⚠️ Retry ${attempts}/${retries} after error: ${error.message}`);
-          await new Promise(r => setTimeout(r, CONFIG.RETRY_DELAY * attempts));
-        }
-      }
-    }
+  // Shorts/Community tab pagination
+  TAB_PAGES_PER_REQUEST: 10,       // Max continuation pages fetched per API call
 
-    throw lastError;
+  // LRU budgets
+  PLAYLIST_CACHE_MAX_ENTRIES: 300,
+  PLAYLIST_CACHE_MAX_BYTES: 64 * 1024 * 1024,
+  SUMMARY_CACHE_MAX_ENTRIES: 2000,
+  TAB_CACHE_MAX_ENTRIES: 300,
+  TAB_CACHE_MAX_BYTES: 32 * 1024 * 1024,
+};
 
-  } finally {
-    requestSemaphore.release();
-  }
-}
+const isStale = entry => Date.now() - entry.timestamp >= CONFIG.CACHE_EXPIRY;
+
+// A playlist fetch has stopped: fully walked, cut off at PLAYLIST_MAX_PAGES, or failed
+const isFetchFinished = entry => entry.isComplete || entry.truncated || Boolean(entry.error);
+
+// ==================== GLOBAL CACHES ====================
+// Playlist and tab entries hold live continuation objects while filling, so
+// persistent backends only keep them once complete.
+const playlistCache = createCacheStore('playlists', {
+  maxEntries: CONFIG.PLAYLIST_CACHE_MAX_ENTRIES,
+  maxBytes: CONFIG.PLAYLIST_CACHE_MAX_BYTES,
+  sizeOf: entry => estimateBytes(entry.videos),
+  isExpired: entry => isFetchFinished(entry) && isStale(entry),
+  isPinned: entry => entry.isFetching,
+  serialize: ({ info, videos, isComplete, timestamp, lastUpdate, error }) =>
+    (isComplete ? { info, videos, timestamp, lastUpdate, error } : undefined),
+  deserialize: (data) => ({
+    ...data,
+    seenIds: new Set(data.videos.map(v => v.id)),
+    page: null,
+    isComplete: true,
+    isFetching: false
+  })
+});
+const playlistSummaryCache = createCacheStore('playlistSummaries', {
+  maxEntries: CONFIG.SUMMARY_CACHE_MAX_ENTRIES,
+  isExpired: isStale
+});
+const channelTabCache = createCacheStore('channelTabs', {
+  maxEntries: CONFIG.TAB_CACHE_MAX_ENTRIES,
+  maxBytes: CONFIG.TAB_CACHE_MAX_BYTES,
+  sizeOf: entry => estimateBytes(entry.items),
+  isExpired: isStale,
+  serialize: ({ channelName, items, isComplete, timestamp }) =>
+    (isComplete ? { channelName, items, timestamp } : undefined),
+  deserialize: (data) => ({
+    ...data,
+    seenIds: new Set(data.items.map(item => item?.id || item?.content)),
+    feed: null,
+    isComplete: true
+  })
+});
 
 // ==================== HELPER: Extract Playlist IDs ====================
 function extractPlaylistIds(data, isContinuation = false) {
@@ -527,49 +287,254 @@ async function getPlaylistsViaBrowse(youtube, channelId) {
   return playlistIds;
 }
 
+// ==================== HELPER: Normalize Identifier ====================
+function normalizeChannelIdentifier(channelIdentifier) {
+  let normalizedIdentifier = channelIdentifier.trim();
+  if (!normalizedIdentifier.startsWith('@') && 
+      !normalizedIdentifier.includes('youtube.com') && 
+      !normalizedIdentifier.startsWith('UC')) {
+    normalizedIdentifier = '@' + normalizedIdentifier;
+  }
+  return normalizedIdentifier;
+}
+
+// ==================== HELPER: Item Parsers ====================
+function getThumbnailUrl(item) {
+  if (item.thumbnails && Array.isArray(item.thumbnails) && item.thumbnails.length > 0) {
+    return item.thumbnails[item.thumbnails.length - 1]?.url || item.thumbnails[0]?.url;
+  }
+  if (item.thumbnail) {
+    if (Array.isArray(item.thumbnail) && item.thumbnail.length > 0) {
+      return item.thumbnail[item.thumbnail.length - 1]?.url || item.thumbnail[0]?.url;
+    }
+    if (item.thumbnail.url) {
+      return item.thumbnail.url;
+    }
+    if (item.thumbnail.thumbnails && Array.isArray(item.thumbnail.thumbnails)) {
+      return item.thumbnail.thumbnails[item.thumbnail.thumbnails.length - 1]?.url;
+    }
+  }
+  if (item.image && Array.isArray(item.image) && item.image.length > 0) {
+    return item.image[item.image.length - 1]?.url || item.image[0]?.url;
+  }
+  if (item.author?.thumbnails && Array.isArray(item.author.thumbnails)) {
+    return item.author.thumbnails[item.author.thumbnails.length - 1]?.url;
+  }
+  return null;
+}
+
+function getText(field) {
+  if (!field) return null;
+  if (typeof field === 'string') return field;
+  if (field.text) return field.text;
+  if (field.simpleText) return field.simpleText;
+  if (field.runs && Array.isArray(field.runs)) {
+    return field.runs.map(r => r.text).join('');
+  }
+  if (typeof field === 'object' && field.toString) {
+    const str = field.toString();
+    if (str !== '[object Object]') return str;
+  }
+  return null;
+}
+
+function processPostItem(item) {
+  const type = item.type;
+
+  if (type === 'BackstagePost' || type === 'Post' || type === 'SharedPost') {
+    const postId = item.id || item.post_id;
+    let content = getText(item.content) || getText(item.content_text) || null;
+    let attachment = null;
+    const attachmentNode = item.backstage_attachment || item.attachment;
+
+    if (item.backstage_image || item.image || attachmentNode?.type === 'BackstageImage') {
+      const imgSource = item.backstage_image || item.image || attachmentNode;
+      attachment = {
+        type: 'image',
+        url: getThumbnailUrl(imgSource) || imgSource?.url
+      };
+    }
+
+    if (item.video || attachmentNode?.type === 'Video') {
+      const video = item.video || attachmentNode;
+      attachment = {
+        type: 'video',
+        id: video.id,
+        title: getText(video.title),
+        thumbnail: getThumbnailUrl(video),
+        url: `https://www.youtube.com/watch?v=${video.id}`
+      };
+    }
+
+    if (item.poll || attachmentNode?.type === 'Poll') {
+      const poll = item.poll || attachmentNode;
+      attachment = {
+        type: 'poll',
+        choices: poll.choices?.map(c => getText(c.text) || getText(c)) || []
+      };
+    }
+
+    if (item.backstage_image_gallery || item.image_gallery || attachmentNode?.type === 'PostMultiImage') {
+      const gallery = item.backstage_image_gallery || item.image_gallery || attachmentNode;
+      attachment = {
+        type: 'image_gallery',
+        images: gallery.images?.map(img => getThumbnailUrl(img) || img?.url) || []
+      };
+    }
+
+    return {
+      type: 'post',
+      id: postId,
+      content: content,
+      publishedTime: getText(item.published) || getText(item.published_time_text) || null,
+      voteCount: getText(item.vote_count) || getText(item.likes) || null,
+      commentCount: getText(item.comment_count) || getText(item.reply_count) || null,
+      attachment: attachment,
+      authorThumbnail: getThumbnailUrl(item.author) || item.author?.thumbnails?.[0]?.url || null,
+      url: postId ? `https://www.youtube.com/post/${postId}` : null
+    };
+  }
+
+  return null;
+}
+
+function processMediaItem(item) {
+  let actualItem = item;
+  if (item.type === 'RichItem' && item.content) {
+    actualItem = item.content;
+  }
+
+  const type = actualItem.type;
+  const thumbUrl = getThumbnailUrl(actualItem);
+
+  if (type === 'BackstagePost' || type === 'Post' || type === 'SharedPost') {
+    return processPostItem(actualItem);
+  }
+
+  if (type === 'Video' || type === 'GridVideo' || type === 'CompactVideo') {
+    return {
+      type: 'video',
+      id: actualItem.id,
+      title: getText(actualItem.title) || 'N/A',
+      thumbnail: thumbUrl,
+      duration: getText(actualItem.duration) || null,
+      views: getText(actualItem.view_count) || getText(actualItem.short_view_count) || null,
+      published: getText(actualItem.published) || null,
+      url: `https://www.youtube.com/watch?v=${actualItem.id}`
+    };
+  } else if (type === 'Playlist' || type === 'GridPlaylist' || type === 'CompactPlaylist' || type === 'LockupView') {
+    return {
+      type: 'playlist',
+      id: actualItem.id,
+      title: getText(actualItem.title) || 'N/A',
+      thumbnail: thumbUrl,
+      videoCount: getText(actualItem.video_count) || actualItem.video_count || null,
+      url: `https://www.youtube.com/playlist?list=${actualItem.id}`
+    };
+  } else if (type === 'ReelItem' || type === 'ShortsLockupView' || type === 'ShortsLockupViewModel') {
+    const videoId = actualItem.id || 
+                    actualItem.video_id || 
+                    actualItem.on_tap_endpoint?.payload?.videoId || 
+                    actualItem.entity_id;
+    return {
+      type: 'short',
+      id: videoId,
+      title: getText(actualItem.title) || 
+             getText(actualItem.overlay_metadata?.primary_text) || 
+             actualItem.accessibility_text || 
+             'N/A',
+      thumbnail: thumbUrl,
+      views: getText(actualItem.views) || getText(actualItem.overlay_metadata?.secondary_text) || null,
+      url: `https://www.youtube.com/shorts/${videoId}`
+    };
+  } else if (type === 'Channel' || type === 'GridChannel' || type === 'ChannelCard') {
+    const chId = actualItem.id || actualItem.channel_id || actualItem.endpoint?.browseEndpoint?.browseId;
+    return {
+      type: 'channel',
+      id: chId,
+      title: getText(actualItem.title) || getText(actualItem.author?.name) || actualItem.author?.name || 'N/A',
+      thumbnail: thumbUrl,
+      subscriberCount: getText(actualItem.subscriber_count) || getText(actualItem.subscribers) || getText(actualItem.video_count_text) || null,
+      url: `https://www.youtube.com/channel/${chId}`
+    };
+  }
+
+  return null;
+}
+
+function processChannelItem(item) {
+  const type = item.type;
+
+  if (type === 'Channel' || type === 'GridChannel' || type === 'ChannelCard' || type === 'CompactChannel') {
+    const chId = item.id || item.channel_id || item.endpoint?.browseEndpoint?.browseId;
+    const thumbUrl = getThumbnailUrl(item);
+
+    return {
+      type: 'channel',
+      id: chId,
+      title: getText(item.title) || getText(item.author?.name) || item.author?.name || 'N/A',
+      thumbnail: thumbUrl,
+      subscriberCount: getText(item.subscriber_count) || getText(item.subscribers) || getText(item.video_count_text) || null,
+      description: getText(item.description_snippet) || getText(item.description) || null,
+      url: `https://www.youtube.com/channel/${chId}`
+    };
+  }
+
+  if (item.author || item.channel_id) {
+    const chId = item.channel_id || item.id || item.author?.id;
+    return {
+      type: 'channel',
+      id: chId,
+      title: getText(item.title) || item.author?.name || 'N/A',
+      thumbnail: getThumbnailUrl(item) || item.author?.thumbnails?.[0]?.url,
+      subscriberCount: getText(item.subscriber_count) || null,
+      url: `https://www.youtube.com/channel/${chId}`
+    };
+  }
+
+  return null;
+}
+
 // ==================== MAIN FUNCTIONS ====================
 
 async function getChannelInfo(channelIdentifier) {
   return executeWithInstance(async (youtube) => {
-    let channelId = channelIdentifier;
-
     // Convert handle/URL to channel ID
-    if (channelIdentifier.startsWith('@') || channelIdentifier.includes('youtube.com')) {
-      if (channelIdentifier.includes('youtube.com')) {
-        const handleMatch = channelIdentifier.match(/@([\w-]+)/);
-        const channelMatch = channelIdentifier.match(/channel\/([\w-]+)/);
-        channelIdentifier = handleMatch ? '@' + handleMatch[1] : (channelMatch ? channelMatch[1] : channelIdentifier);
-      }
-
-      if (channelIdentifier.startsWith('@')) {
-        const search = await youtube.search(channelIdentifier.substring(1), { type: 'channel' });
-        const channelResult = search.results.find(result => result.type === 'Channel');
-        if (!channelResult?.author?.id) return { success: false, error: 'Channel not found' };
-        channelId = channelResult.author.id;
-      }
-    }
+    const channelId = await resolveChannelId(youtube, channelIdentifier);
+    if (!channelId) return { success: false, error: 'Channel not found' };
 
     const channel = await youtube.getChannel(channelId);
     if (!channel) return { success: false, error: 'Channel not found' };
 
-    const about = await channel.getAbout();
+    const warnings = [];
+
+    let about = null;
+    try {
+      about = await channel.getAbout();
+    } catch (e) {
+      console.log(`⚠️ Could not get about info: ${e.message}`);
+      warnings.push({ section: 'about', error: e.message });
+    }
 
     // Parse subscriber count
     let subscriberCount = 'N/A';
-    if (about.metadata?.subscriber_count) {
-      const match = about.metadata.subscriber_count.match(/([\d.]+)\s*([KMB]?)/);
+    if (about?.metadata?.subscriber_count) {
+      const match = about.metadata.subscriber_count.match(/([\d.]+)\s*([KMB]?)/i);
       if (match) {
         let count = parseFloat(match[1]);
-        if (match[2] === 'K') count *= 1000;
-        else if (match[2] === 'M') count *= 1000000;
-        else if (match[2] === 'B') count *= 1000000000;
+        const suffix = match[2].toUpperCase();
+        if (suffix === 'K') count *= 1000;
+        else if (suffix === 'M') count *= 1000000;
+        else if (suffix === 'B') count *= 1000000000;
         subscriberCount = Math.round(count);
       }
+    } else if (channel.metadata?.subscriber_count) {
+      subscriberCount = channel.metadata.subscriber_count;
     }
 
     // Parse video count
     let videoCount = 0;
-    if (about.metadata?.video_count) {
+    if (about?.metadata?.video_count) {
       const match = about.metadata.video_count.match(/([\d,]+)/);
       if (match) videoCount = parseInt(match[1].replace(/,/g, ''));
     }
@@ -577,7 +542,8 @@ async function getChannelInfo(channelIdentifier) {
     // Extract channel thumbnail
     const thumbnails = channel.metadata?.thumbnail || 
                        channel.metadata?.avatar?.thumbnails || 
-                       about.metadata?.avatar?.thumbnails || 
+                       channel.header?.author?.thumbnails ||
+                       about?.metadata?.avatar?.thumbnails || 
                        [];
 
     const thumbnail = thumbnails.length > 0 
@@ -587,7 +553,7 @@ async function getChannelInfo(channelIdentifier) {
     // Extract channel banner
     const bannerThumbnails = channel.metadata?.banner?.thumbnails || 
                               channel.header?.banner?.thumbnails ||
-                              about.metadata?.banner?.thumbnails || 
+                              about?.metadata?.banner?.thumbnails || 
                               [];
 
     const banner = bannerThumbnails.length > 0 
@@ -608,189 +574,34 @@ async function getChannelInfo(channelIdentifier) {
       success: true,
       channel: {
         name: channel.metadata?.title || 'N/A',
-        id: about.metadata?.channel_id || channel.metadata?.external_id || channelId,
-        url: about.metadata?.canonical_channel_url || channel.metadata?.vanity_channel_url || `https://www.youtube.com/channel/${channelId}`,
+        id: about?.metadata?.channel_id || channel.metadata?.external_id || channelId,
+        url: about?.metadata?.canonical_channel_url || channel.metadata?.vanity_channel_url || `https://www.youtube.com/channel/${channelId}`,
         videoCount,
         subscriber_count: subscriberCount,
-        description: about.metadata?.description || channel.metadata?.description || 'N/A',
+        description: about?.metadata?.description || channel.metadata?.description || 'N/A',
         thumbnail: thumbnail || 'N/A',
         thumbnailAll: thumbnails.map(t => t?.url || t).filter(Boolean),
         banner: banner || 'N/A',
         bannerAll: bannerThumbnails.map(t => t?.url || t).filter(Boolean),
         mobileBanner: mobileBanner || 'N/A',
         tvBanner: tvBanner || 'N/A'
-      }
+      },
+      warnings
     };
-  });
+  }, { consumer: 'channel' });
 }
 
 async function getAllPlaylists(channelIdentifier) {
   return executeWithInstance(async (youtube) => {
-    let channelId = channelIdentifier;
-
-    if (channelIdentifier.startsWith('@') || channelIdentifier.includes('youtube.com')) {
-      if (channelIdentifier.includes('youtube.com')) {
-        const handleMatch = channelIdentifier.match(/@([\w-]+)/);
-        const channelMatch = channelIdentifier.match(/channel\/([\w-]+)/);
-        channelIdentifier = handleMatch ? '@' + handleMatch[1] : (channelMatch ? channelMatch[1] : channelIdentifier);
-      }
-
-      if (channelIdentifier.startsWith('@')) {
-        const search = await youtube.search(channelIdentifier.substring(1), { type: 'channel' });
-        const channelResult = search.results.find(result => result.type === 'Channel');
-        if (!channelResult?.author?.id) return { success: false, error: 'Channel not found' };
-        channelId = channelResult.author.id;
-      }
-    }
+    const channelId = await resolveChannelId(youtube, channelIdentifier);
+    if (!channelId) return { success: false, error: 'Channel not found' };
 
     const channel = await youtube.getChannel(channelId);
     if (!channel) return { success: false, error: 'Channel not found' };
 
-    let playlistsData = await channel.getPlaylists();
-    let playlistIds = [];
-
-    const extractPlaylistIdsLocal = (data, isContinuation = false) => {
-      const ids = [];
-      let items;
-
-      if (isContinuation) {
-        items = data.contents?.contents || [];
-      } else {
-        const tabContents = data.current_tab?.content?.contents || [];
-        items = [];
-
-        for (const section of tabContents) {
-          if (section.contents) {
-            for (const gridContainer of section.contents) {
-              if (gridContainer.type === 'Grid' && gridContainer.items) {
-                items.push(...gridContainer.items);
-              }
-            }
-          }
-        }
-      }
-
-      for (const item of items) {
-        if (item.content_id && item.content_type === 'PLAYLIST') {
-          ids.push(item.content_id);
-        }
-      }
-
-      return ids;
-    };
-
-    playlistIds = extractPlaylistIdsLocal(playlistsData, false);
-
-    let pageCount = 1;
-    while (playlistsData.has_continuation) {
-      try {
-        playlistsData = await playlistsData.getContinuation();
-        const moreIds = extractPlaylistIdsLocal(playlistsData, true);
-
-        if (moreIds.length > 0) {
-          playlistIds.push(...moreIds);
-        }
-
-        pageCount++;
-
-        if (pageCount > 100) {
-          break;
-        }
-      } catch (e) {
-        break;
-      }
-    }
-
-    return {
-      success: true,
-      totalPlaylists: playlistIds.length,
-      playlistIds: playlistIds
-    };
-  });
-}
-
-async function getChannelWithPlaylists(channelIdentifier) {
-  return executeWithInstance(async (youtube) => {
-    // Normalize identifier
-    let normalizedIdentifier = channelIdentifier.trim();
-    if (!normalizedIdentifier.startsWith('@') && 
-        !normalizedIdentifier.includes('youtube.com') && 
-        !normalizedIdentifier.startsWith('UC')) {
-      normalizedIdentifier = '@' + normalizedIdentifier;
-    }
-
-    console.log(`🔍 Resolving channel: ${normalizedIdentifier}`);
-
-    // Resolve channel ID
-    const channelId = await resolveChannelId(youtube, normalizedIdentifier);
-    if (!channelId) {
-      return { success: false, error: 'Channel not found' };
-    }
-
-    console.log(`✅ Found channel ID: ${channelId}`);
-
-    // Get channel
-    const channel = await youtube.getChannel(channelId);
-    if (!channel) {
-      return { success: false, error: 'Channel not found' };
-    }
-
-    // Get about info
-    let about = null;
-    try {
-      about = await channel.getAbout();
-    } catch (e) {
-      console.log(`⚠️ Could not get about info: ${e.message}`);
-    }
-
-    // Extract channel thumbnail
-    let thumbnail = null;
-    if (channel.metadata?.thumbnail) {
-      if (Array.isArray(channel.metadata.thumbnail)) {
-        thumbnail = channel.metadata.thumbnail[channel.metadata.thumbnail.length - 1]?.url;
-      } else if (channel.metadata.thumbnail.url) {
-        thumbnail = channel.metadata.thumbnail.url;
-      }
-    } else if (channel.header?.author?.thumbnails) {
-      const thumbnails = channel.header.author.thumbnails;
-      thumbnail = thumbnails[thumbnails.length - 1]?.url;
-    } else if (about?.metadata?.avatar) {
-      if (Array.isArray(about.metadata.avatar)) {
-        thumbnail = about.metadata.avatar[about.metadata.avatar.length - 1]?.url;
-      } else if (about.metadata.avatar.url) {
-        thumbnail = about.metadata.avatar.url;
-      }
-    }
-
-    // Parse subscriber count
-    let subscriberCount = 'N/A';
-    if (about?.metadata?.subscriber_count) {
-      const match = about.metadata.subscriber_count.match(/([\d.]+)\s*([KMB]?)/i);
-      if (match) {
-        let count = parseFloat(match[1]);
-        const suffix = match[2].toUpperCase();
-        if (suffix === 'K') count *= 1000;
-        else if (suffix === 'M') count *= 1000000;
-        else if (suffix === 'B') count *= 1000000000;
-        subscriberCount = Math.round(count);
-      }
-    } else if (channel.metadata?.subscriber_count) {
-      subscriberCount = channel.metadata.subscriber_count;
-    }
-
-    // Parse video count
-    let videoCount = 0;
-    if (about?.metadata?.video_count) {
-      const match = about.metadata.video_count.match(/([\d,]+)/);
-      if (match) videoCount = parseInt(match[1].replace(/,/g, ''));
-    }
-
-    // Get playlists
     let playlistIds = [];
     let playlistError = null;
 
-    console.log(`\n📁 Fetching playlists...`);
-
     // Method 1: Try getPlaylists()
     try {
       let playlistsData = await channel.getPlaylists();
@@ -842,92 +653,370 @@ async function getChannelWithPlaylists(channelIdentifier) {
       }
     }
 
-    console.log(`\n📊 Total playlists found: ${playlistIds.length}`);
-
-    const channelName = channel.metadata?.title || 'N/A';
-    const channelUrl = about?.metadata?.canonical_channel_url || 
-                       channel.metadata?.vanity_channel_url || 
-                       `https://www.youtube.com/channel/${channelId}`;
-    const description = about?.metadata?.description || 
-                        channel.metadata?.description || 
-                        'N/A';
-
     return {
       success: true,
-      channel: {
-        name: channelName,
-        id: about?.metadata?.channel_id || channel.metadata?.external_id || channelId,
-        url: channelUrl,
-        thumbnail: thumbnail || 'N/A',
-        videoCount,
-        subscriber_count: subscriberCount,
-        description: description,
-        totalPlaylists: playlistIds.length,
-        playlistIds: playlistIds,
-        playlistNote: playlistIds.length === 0 && playlistError 
-          ? 'Could not fetch playlists - channel may have none or they may be private' 
-          : null
-      }
+      totalPlaylists: playlistIds.length,
+      playlistIds: playlistIds,
+      error: playlistIds.length === 0 ? playlistError : null
     };
-  });
+  }, { consumer: 'channel' });
 }
 
-async function getPlaylist(playlistId) {
-  // Check cache
-  const cached = playlistCache.get(playlistId);
-  if (cached && Date.now() - cached.timestamp < CONFIG.CACHE_EXPIRY) {
-    console.log(`✅ Cache hit: ${playlistId}`);
+// Lightweight playlist metadata (first page only) used to hydrate channel playlist IDs
+async function getPlaylistSummary(playlistId) {
+  const cached = playlistSummaryCache.get(playlistId);
+  if (cached && !isStale(cached)) {
+    recordCacheLookup('playlistSummary', true);
     return cached.data;
   }
+  recordCacheLookup('playlistSummary', false);
 
   return executeWithInstance(async (youtube) => {
-    console.log(`🔄 Fetching: ${playlistId}`);
-    let playlist = await youtube.getPlaylist(playlistId);
+    const playlist = await youtube.getPlaylist(playlistId);
+
+    const thumbnails = playlist.info?.thumbnails || [];
+    const firstVideo = playlist.items?.[0];
+    const countMatch = String(playlist.info?.total_items || '').match(/([\d,]+)/);
+
+    const summary = {
+      id: playlistId,
+      title: playlist.info?.title || 'Playlist',
+      thumbnail: thumbnails[thumbnails.length - 1]?.url ||
+                 (firstVideo ? getThumbnailUrl(firstVideo) : null),
+      videoCount: countMatch ? parseInt(countMatch[1].replace(/,/g, '')) : (playlist.items?.length || 0),
+      author: playlist.info?.author?.name || 'Unknown',
+      firstVideoId: firstVideo?.id || null,
+      url: `https://www.youtube.com/playlist?list=${playlistId}`
+    };
+
+    playlistSummaryCache.set(playlistId, {
+      data: summary,
+      timestamp: Date.now()
+    });
+
+    return summary;
+  }, { retries: 1, consumer: 'playlist' });
+}
+
+// getPlaylistSummary for a few IDs at a time, so a channel header never holds a
+// large share of the pool's request slots. Results are in Promise.allSettled form.
+async function hydratePlaylists(playlistIds) {
+  const results = new Array(playlistIds.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < playlistIds.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await getPlaylistSummary(playlistIds[index]) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(CONFIG.HYDRATE_CONCURRENCY, playlistIds.length) }, worker));
+  return results;
+}
+
+async function getChannelWithPlaylists(channelIdentifier) {
+  const normalizedIdentifier = normalizeChannelIdentifier(channelIdentifier);
+
+  console.log(`🔍 Resolving channel: ${normalizedIdentifier}`);
+
+  let channelId;
+  try {
+    channelId = await executeWithInstance(
+      youtube => resolveChannelId(youtube, normalizedIdentifier),
+      { consumer: 'channel' }
+    );
+  } catch (e) {
+    return { success: false, error: e.message };
+  }
+
+  if (!channelId) {
+    return { success: false, error: 'Channel not found' };
+  }
+
+  console.log(`✅ Found channel ID: ${channelId}`);
 
-    const allVideos = [];
+  const [infoResult, playlistsResult] = await Promise.allSettled([
+    getChannelInfo(channelId),
+    getAllPlaylists(channelId)
+  ]);
 
-    if (playlist.videos && playlist.videos.length > 0) {
-      allVideos.push(...playlist.videos);
+  // Channel info is required - without it there is no header to render
+  if (infoResult.status === 'rejected') {
+    return { success: false, error: infoResult.reason?.message || 'Failed to load channel' };
+  }
+  if (!infoResult.value.success) {
+    return infoResult.value;
+  }
+
+  const warnings = [...(infoResult.value.warnings || [])];
+
+  // Playlist IDs are optional - failures become warnings
+  let playlistIds = [];
+  let playlistNote = null;
+
+  if (playlistsResult.status === 'rejected') {
+    warnings.push({ section: 'playlists', error: playlistsResult.reason?.message || 'Unknown error' });
+  } else if (!playlistsResult.value.success) {
+    warnings.push({ section: 'playlists', error: playlistsResult.value.error });
+  } else {
+    playlistIds = playlistsResult.value.playlistIds;
+    if (playlistIds.length === 0 && playlistsResult.value.error) {
+      playlistNote = 'Could not fetch playlists - channel may have none or they may be private';
+      warnings.push({ section: 'playlists', error: playlistsResult.value.error });
+    }
+  }
+
+  console.log(`\n📊 Total playlists found: ${playlistIds.length}`);
+
+  // Hydrate playlist IDs with title, thumbnail and video count
+  const idsToHydrate = playlistIds.slice(0, CONFIG.MAX_HYDRATED_PLAYLISTS);
+  const summaryResults = await hydratePlaylists(idsToHydrate);
+
+  const playlists = [];
+  const failedPlaylists = [];
+
+  summaryResults.forEach((result, index) => {
+    if (result.status === 'fulfilled') {
+      playlists.push(result.value);
+    } else {
+      failedPlaylists.push(idsToHydrate[index]);
     }
+  });
+
+  if (failedPlaylists.length > 0) {
+    warnings.push({
+      section: 'playlistDetails',
+      error: `Could not load details for ${failedPlaylists.length} playlist(s)`,
+      playlistIds: failedPlaylists
+    });
+  }
+
+  if (playlistIds.length > idsToHydrate.length) {
+    warnings.push({
+      section: 'playlistDetails',
+      error: `Only the first ${idsToHydrate.length} of ${playlistIds.length} playlists were hydrated`
+    });
+  }
 
+  return {
+    success: true,
+    channel: {
+      ...infoResult.value.channel,
+      totalPlaylists: playlistIds.length,
+      playlistIds: playlistIds,
+      playlists: playlists,
+      playlistNote: playlistNote
+    },
+    warnings
+  };
+}
+
+// ==================== PLAYLIST PAGINATION ====================
+
+function getPlaylistVideoAvailability(v, title) {
+  if (v.is_playable !== false) return 'public';
+  if (/\[private video\]/i.test(title)) return 'private';
+  if (/\[deleted video\]/i.test(title)) return 'deleted';
+  return 'unavailable';
+}
+
+function formatPlaylistVideo(v, fallbackIndex) {
+  const title = getText(v.title) || 'Unknown';
+
+  // Best-resolution thumbnail
+  const sortedThumbs = [...(v.thumbnails || [])].sort((a, b) => (b.width || 0) - (a.width || 0));
+  const img = sortedThumbs[0]?.url || (v.id ? `https://i.ytimg.com/vi/${v.id}/hqdefault.jpg` : '');
+
+  // video_info looks like "1.2M views • 3 years ago"
+  const infoParts = (getText(v.video_info) || '')
+    .split('•')
+    .map(p => p.trim())
+    .filter(Boolean);
+  const views = infoParts.find(p => /view|watching/i.test(p)) || null;
+  const uploaded = infoParts.find(p => p !== views) || null;
+
+  return {
+    index: parseInt(getText(v.index)) || fallbackIndex,
+    id: v.id,
+    title,
+    img,
+    duration: v.duration?.text || 'N/A',
+    durationSeconds: v.duration?.seconds || 0,
+    author: v.author?.name || 'Unknown',
+    views,
+    uploaded,
+    availability: getPlaylistVideoAvailability(v, title)
+  };
+}
+
+function appendPlaylistVideos(entry, page) {
+  for (const v of page.videos || []) {
+    if (!v.id || entry.seenIds.has(v.id)) continue;
+    entry.seenIds.add(v.id);
+    entry.videos.push(formatPlaylistVideo(v, entry.videos.length + 1));
+  }
+  entry.lastUpdate = Date.now();
+}
+
+async function backgroundFetchPlaylist(playlistId, entry) {
+  if (entry.isFetching || isFetchFinished(entry)) return;
+
+  entry.isFetching = true;
+  console.log(`🔄 [Background] Fetching playlist ${playlistId}...`);
+
+  try {
     let pageCount = 1;
-    while (playlist.has_continuation && pageCount < 200) {
+    while (entry.page?.has_continuation && pageCount < CONFIG.PLAYLIST_MAX_PAGES) {
       try {
-        playlist = await playlist.getContinuation();
-        if (playlist.videos && playlist.videos.length > 0) {
-          allVideos.push(...playlist.videos);
-        }
+        entry.page = await entry.page.getContinuation();
+        appendPlaylistVideos(entry, entry.page);
         pageCount++;
+
+        if (pageCount % 20 === 0) {
+          await new Promise(r => setTimeout(r, 300));
+        }
       } catch (error) {
         console.error(`Error on page ${pageCount + 1}:`, error.message);
+        entry.error = error.message;
         break;
       }
     }
 
-    const videoData = {
-      id: playlistId,
-      title: playlist.info?.title || 'Playlist',
-      description: playlist.info?.description || '',
-      videoCount: allVideos.length,
-      author: playlist.info?.author?.name || 'Unknown',
-      videos: allVideos.map(v => ({
-        id: v.id,
-        title: v.title?.text || 'Unknown',
-        img: v.thumbnails?.[0]?.url || '',
-        duration: v.duration?.text || 'N/A',
-        author: v.author?.name || 'Unknown'
-      }))
-    };
+    // Only a walk that ran out of continuations is complete; a cut-off or failed
+    // one is served as partial and refetched once the entry expires
+    entry.isComplete = !entry.page?.has_continuation;
+    entry.truncated = !entry.isComplete && !entry.error;
+    entry.page = null;
+    playlistCache.touch(playlistId);
 
-    // Cache the result
-    playlistCache.set(playlistId, {
-      data: videoData,
-      timestamp: Date.now()
+    if (entry.isComplete) {
+      console.log(`✅ Cached ${entry.videos.length} videos for "${entry.info.title}"`);
+    } else {
+      console.log(`⚠️ Cached ${entry.videos.length} videos for "${entry.info.title}" (${entry.truncated ? `stopped at ${CONFIG.PLAYLIST_MAX_PAGES} pages` : 'fetch failed'})`);
+    }
+  } finally {
+    entry.isFetching = false;
+  }
+}
+
+async function waitForPlaylistVideos(entry, requiredCount, maxWaitMs) {
+  const startTime = Date.now();
+
+  while (Date.now() - startTime < maxWaitMs) {
+    if (entry.videos.length >= requiredCount || isFetchFinished(entry)) {
+      return true;
+    }
+    await new Promise(r => setTimeout(r, 100));
+  }
+
+  return false;
+}
+
+async function getPlaylist(playlistId, start = null, end = null) {
+  let entry = playlistCache.get(playlistId);
+
+  // Drop finished entries once they expire
+  if (entry && isFetchFinished(entry) && isStale(entry)) {
+    playlistCache.delete(playlistId);
+    entry = null;
+  }
+
+  recordCacheLookup('playlist', !!entry);
+
+  if (entry) {
+    console.log(`✅ Cache hit: ${playlistId}`);
+  } else {
+    entry = await executeWithInstance(async (youtube) => {
+      console.log(`🔄 Fetching: ${playlistId}`);
+      const playlist = await youtube.getPlaylist(playlistId);
+
+      const thumbnails = playlist.info?.thumbnails || [];
+      const countMatch = String(playlist.info?.total_items || '').match(/([\d,]+)/);
+
+      const newEntry = {
+        info: {
+          title: playlist.info?.title || 'Playlist',
+          description: playlist.info?.description || '',
+          author: playlist.info?.author?.name || 'Unknown',
+          thumbnail: thumbnails[thumbnails.length - 1]?.url || null,
+          views: playlist.info?.views || null,
+          lastUpdated: playlist.info?.last_updated || null,
+          reportedCount: countMatch ? parseInt(countMatch[1].replace(/,/g, '')) : null
+        },
+        videos: [],
+        seenIds: new Set(),
+        page: playlist,
+        isComplete: !playlist.has_continuation,
+        truncated: false,
+        isFetching: false,
+        timestamp: Date.now(),
+        lastUpdate: Date.now(),
+        error: null
+      };
+
+      appendPlaylistVideos(newEntry, playlist);
+      if (newEntry.isComplete) newEntry.page = null;
+
+      return newEntry;
+    }, { consumer: 'playlist' });
+
+    playlistCache.set(playlistId, entry);
+  }
+
+  if (!isFetchFinished(entry) && !entry.isFetching) {
+    backgroundFetchPlaylist(playlistId, entry).catch(e => {
+      entry.error = e.message;
     });
+  }
 
-    console.log(`✅ Cached ${videoData.videos.length} videos for "${videoData.title}"`);
-    return videoData;
-  });
+  const hasRange = start !== null && end !== null;
+
+  if (hasRange) {
+    if (entry.videos.length < end && !isFetchFinished(entry)) {
+      await waitForPlaylistVideos(entry, end, 60000);
+    }
+  } else if (!isFetchFinished(entry)) {
+    await waitForPlaylistVideos(entry, Infinity, 120000);
+  }
+
+  const videos = hasRange
+    ? entry.videos.slice(Math.max(0, start - 1), Math.min(entry.videos.length, end))
+    : entry.videos;
+
+  const cacheStatus = entry.isComplete 
+    ? 'complete' 
+    : entry.isFetching 
+      ? 'fetching' 
+      : entry.truncated
+        ? 'truncated'
+        : 'partial';
+
+  return {
+    success: true,
+    id: playlistId,
+    title: entry.info.title,
+    description: entry.info.description,
+    author: entry.info.author,
+    thumbnail: entry.info.thumbnail,
+    views: entry.info.views,
+    lastUpdated: entry.info.lastUpdated,
+    videoCount: entry.info.reportedCount ?? entry.videos.length,
+    fetchedAt: entry.timestamp,
+    range: hasRange ? { start, end } : null,
+    count: videos.length,
+    totalVideos: entry.videos.length,
+    totalCached: entry.videos.length,
+    cacheStatus,
+    isComplete: entry.isComplete,
+    truncated: Boolean(entry.truncated),
+    fetchError: entry.error || null,
+    videos
+  };
 }
 
 async function getChannelHomePage(channelIdentifier) {
@@ -962,193 +1051,6 @@ async function getChannelHomePage(channelIdentifier) {
                     contentSource?.rich_grid?.contents ||
                     [];
 
-    // Helper functions
-    function getThumbnailUrl(item) {
-      if (item.thumbnails && Array.isArray(item.thumbnails) && item.thumbnails.length > 0) {
-        return item.thumbnails[item.thumbnails.length - 1]?.url || item.thumbnails[0]?.url;
-      }
-      if (item.thumbnail) {
-        if (Array.isArray(item.thumbnail) && item.thumbnail.length > 0) {
-          return item.thumbnail[item.thumbnail.length - 1]?.url || item.thumbnail[0]?.url;
-        }
-        if (item.thumbnail.url) {
-          return item.thumbnail.url;
-        }
-        if (item.thumbnail.thumbnails && Array.isArray(item.thumbnail.thumbnails)) {
-          return item.thumbnail.thumbnails[item.thumbnail.thumbnails.length - 1]?.url;
-        }
-      }
-      if (item.author?.thumbnails && Array.isArray(item.author.thumbnails)) {
-        return item.author.thumbnails[item.author.thumbnails.length - 1]?.url;
-      }
-      return null;
-    }
-
-    function getText(field) {
-      if (!field) return null;
-      if (typeof field === 'string') return field;
-      if (field.text) return field.text;
-      if (field.simpleText) return field.simpleText;
-      if (field.runs && Array.isArray(field.runs)) {
-        return field.runs.map(r => r.text).join('');
-      }
-      if (typeof field === 'object' && field.toString) {
-        const str = field.toString();
-        if (str !== '[object Object]') return str;
-      }
-      return null;
-    }
-
-    function processPostItem(item) {
-      const type = item.type;
-
-      if (type === 'BackstagePost' || type === 'Post' || type === 'SharedPost') {
-        const postId = item.id || item.post_id;
-        let content = getText(item.content) || getText(item.content_text) || null;
-        let attachment = null;
-
-        if (item.backstage_image || item.image) {
-          const imgSource = item.backstage_image || item.image;
-          attachment = {
-            type: 'image',
-            url: getThumbnailUrl(imgSource) || imgSource?.url
-          };
-        }
-
-        if (item.video || item.backstage_attachment?.type === 'Video') {
-          const video = item.video || item.backstage_attachment;
-          attachment = {
-            type: 'video',
-            id: video.id,
-            title: getText(video.title),
-            thumbnail: getThumbnailUrl(video),
-            url: `https://www.youtube.com/watch?v=${video.id}`
-          };
-        }
-
-        if (item.poll || item.backstage_attachment?.type === 'Poll') {
-          const poll = item.poll || item.backstage_attachment;
-          attachment = {
-            type: 'poll',
-            choices: poll.choices?.map(c => getText(c.text) || getText(c)) || []
-          };
-        }
-
-        if (item.backstage_image_gallery || item.image_gallery) {
-          const gallery = item.backstage_image_gallery || item.image_gallery;
-          attachment = {
-            type: 'image_gallery',
-            images: gallery.images?.map(img => getThumbnailUrl(img) || img?.url) || []
-          };
-        }
-
-        return {
-          type: 'post',
-          id: postId,
-          content: content,
-          publishedTime: getText(item.published) || getText(item.published_time_text) || null,
-          voteCount: getText(item.vote_count) || getText(item.likes) || null,
-          commentCount: getText(item.comment_count) || getText(item.reply_count) || null,
-          attachment: attachment,
-          authorThumbnail: getThumbnailUrl(item.author) || item.author?.thumbnails?.[0]?.url || null,
-          url: postId ? `https://www.youtube.com/post/${postId}` : null
-        };
-      }
-
-      return null;
-    }
-
-    function processMediaItem(item) {
-      let actualItem = item;
-      if (item.type === 'RichItem' && item.content) {
-        actualItem = item.content;
-      }
-
-      const type = actualItem.type;
-      const thumbUrl = getThumbnailUrl(actualItem);
-
-      if (type === 'BackstagePost' || type === 'Post' || type === 'SharedPost') {
-        return processPostItem(actualItem);
-      }
-
-      if (type === 'Video' || type === 'GridVideo' || type === 'CompactVideo') {
-        return {
-          type: 'video',
-          id: actualItem.id,
-          title: getText(actualItem.title) || 'N/A',
-          thumbnail: thumbUrl,
-          duration: getText(actualItem.duration) || null,
-          views: getText(actualItem.view_count) || getText(actualItem.short_view_count) || null,
-          published: getText(actualItem.published) || null,
-          url: `https://www.youtube.com/watch?v=${actualItem.id}`
-        };
-      } else if (type === 'Playlist' || type === 'GridPlaylist' || type === 'CompactPlaylist' || type === 'LockupView') {
-        return {
-          type: 'playlist',
-          id: actualItem.id,
-          title: getText(actualItem.title) || 'N/A',
-          thumbnail: thumbUrl,
-          videoCount: getText(actualItem.video_count) || actualItem.video_count || null,
-          url: `https://www.youtube.com/playlist?list=${actualItem.id}`
-        };
-      } else if (type === 'ReelItem' || type === 'ShortsLockupView' || type === 'ShortsLockupViewModel') {
-        const videoId = actualItem.id || actualItem.video_id || actualItem.entity_id;
-        return {
-          type: 'short',
-          id: videoId,
-          title: getText(actualItem.title) || actualItem.accessibility_text || 'N/A',
-          thumbnail: thumbUrl,
-          views: getText(actualItem.views) || null,
-          url: `https://www.youtube.com/shorts/${videoId}`
-        };
-      } else if (type === 'Channel' || type === 'GridChannel' || type === 'ChannelCard') {
-        const chId = actualItem.id || actualItem.channel_id || actualItem.endpoint?.browseEndpoint?.browseId;
-        return {
-          type: 'channel',
-          id: chId,
-          title: getText(actualItem.title) || getText(actualItem.author?.name) || actualItem.author?.name || 'N/A',
-          thumbnail: thumbUrl,
-          subscriberCount: getText(actualItem.subscriber_count) || getText(actualItem.subscribers) || getText(actualItem.video_count_text) || null,
-          url: `https://www.youtube.com/channel/${chId}`
-        };
-      }
-
-      return null;
-    }
-
-    function processChannelItem(item) {
-      const type = item.type;
-
-      if (type === 'Channel' || type === 'GridChannel' || type === 'ChannelCard' || type === 'CompactChannel') {
-        const chId = item.id || item.channel_id || item.endpoint?.browseEndpoint?.browseId;
-        const thumbUrl = getThumbnailUrl(item);
-
-        return {
-          type: 'channel',
-          id: chId,
-          title: getText(item.title) || getText(item.author?.name) || item.author?.name || 'N/A',
-          thumbnail: thumbUrl,
-          subscriberCount: getText(item.subscriber_count) || getText(item.subscribers) || getText(item.video_count_text) || null,
-          description: getText(item.description_snippet) || getText(item.description) || null,
-          url: `https://www.youtube.com/channel/${chId}`
-        };
-      }
-
-      if (item.author || item.channel_id) {
-        const chId = item.channel_id || item.id || item.author?.id;
-        return {
-          type: 'channel',
-          id: chId,
-          title: getText(item.title) || item.author?.name || 'N/A',
-          thumbnail: getThumbnailUrl(item) || item.author?.thumbnails?.[0]?.url,
-          subscriberCount: getText(item.subscriber_count) || null,
-          url: `https://www.youtube.com/channel/${chId}`
-        };
-      }
-
-      return null;
-    }
-
     function extractShelfItems(shelf, shelfType = 'default') {
       const items = [];
       const sources = [
@@ -1408,7 +1310,135 @@ async function getChannelHomePage(channelIdentifier) {
         sections: sections
       }
     };
-  });
+  }, { consumer: 'channel' });
+}
+
+// ==================== PAGINATED CHANNEL TABS ====================
+
+// Tab definitions for the Shorts and Community (posts) tabs
+const CHANNEL_TABS = {
+  shorts: {
+    itemsKey: 'shorts',
+    totalKey: 'totalShorts',
+    isAvailable: (channel) => channel.has_shorts,
+    load: (channel) => channel.getShorts(),
+    extract: (feed) => (feed.videos || [])
+      .filter(v => v.type === 'ReelItem' || v.type === 'ShortsLockupView')
+      .map(processMediaItem)
+  },
+  community: {
+    itemsKey: 'posts',
+    totalKey: 'totalPosts',
+    isAvailable: (channel) => channel.has_community,
+    load: (channel) => channel.getCommunity(),
+    extract: (feed) => (feed.posts || []).map(processPostItem)
+  }
+};
+
+// Append a page of parsed items to a tab cache entry, skipping duplicates
+function appendTabItems(entry, items) {
+  let added = 0;
+  for (const item of items) {
+    const key = item?.id || item?.content;
+    if (!key || entry.seenIds.has(key)) continue;
+    entry.seenIds.add(key);
+    entry.items.push(item);
+    added++;
+  }
+  return added;
+}
+
+async function getChannelTab(tabName, channelIdentifier, start = null, end = null) {
+  const tab = CHANNEL_TABS[tabName];
+
+  return executeWithInstance(async (youtube) => {
+    const channelId = await resolveChannelId(youtube, normalizeChannelIdentifier(channelIdentifier));
+    if (!channelId) return { success: false, error: 'Channel not found' };
+
+    const cacheKey = `${tabName}:${channelId}`;
+    let entry = channelTabCache.get(cacheKey);
+
+    if (entry && isStale(entry)) {
+      channelTabCache.delete(cacheKey);
+      entry = null;
+    }
+
+    recordCacheLookup('channelTab', !!entry);
+
+    if (!entry) {
+      const channel = await youtube.getChannel(channelId);
+      if (!channel) return { success: false, error: 'Channel not found' };
+
+      entry = {
+        channelName: channel.metadata?.title || 'N/A',
+        items: [],
+        seenIds: new Set(),
+        feed: null,
+        isComplete: false,
+        timestamp: Date.now()
+      };
+
+      if (tab.isAvailable(channel)) {
+        entry.feed = await tab.load(channel);
+        appendTabItems(entry, tab.extract(entry.feed));
+        entry.isComplete = !entry.feed.has_continuation;
+      } else {
+        entry.isComplete = true;
+      }
+
+      channelTabCache.set(cacheKey, entry);
+    }
+
+    const hasRange = start !== null && end !== null;
+    const requiredEnd = hasRange ? end : Infinity;
+
+    let pageCount = 0;
+    while (
+      entry.items.length < requiredEnd &&
+      !entry.isComplete &&
+      pageCount < CONFIG.TAB_PAGES_PER_REQUEST
+    ) {
+      try {
+        entry.feed = await entry.feed.getContinuation();
+        pageCount++;
+        appendTabItems(entry, tab.extract(entry.feed));
+        entry.isComplete = !entry.feed.has_continuation;
+      } catch (e) {
+        console.log(`   ${tabName} continuation error: ${e.message}`);
+        entry.isComplete = true;
+      }
+    }
+
+    if (pageCount > 0) channelTabCache.touch(cacheKey);
+
+    const finalItems = hasRange
+      ? entry.items.slice(Math.max(0, start - 1), Math.min(entry.items.length, end))
+      : entry.items;
+
+    console.log(`✅ ${tabName}: returning ${finalItems.length} items (cached: ${entry.items.length})`);
+
+    return {
+      success: true,
+      channel: {
+        name: entry.channelName,
+        id: channelId,
+        url: `https://www.youtube.com/channel/${channelId}`
+      },
+      range: hasRange ? { start, end } : null,
+      [tab.totalKey]: entry.items.length,
+      totalCached: entry.items.length,
+      isComplete: entry.isComplete,
+      [tab.itemsKey]: finalItems
+    };
+  }, { consumer: 'channel' });
+}
+
+async function getChannelShorts(channelIdentifier, start = null, end = null) {
+  return getChannelTab('shorts', channelIdentifier, start, end);
+}
+
+async function getChannelCommunity(channelIdentifier, start = null, end = null) {
+  return getChannelTab('community', channelIdentifier, start, end);
 }
 
 // ==================== UTILITY FUNCTIONS ====================
@@ -1416,25 +1446,34 @@ async function getChannelHomePage(channelIdentifier) {
 // Get pool statistics (useful for monitoring)
 function getPoolStats() {
   return {
-    pool: instancePool.getStats(),
-    semaphore: requestSemaphore.getStats(),
+    ...getSharedPoolStats(),
+    activeFetches: {
+      playlists: [...playlistCache.values()].filter(e => e.isFetching).length
+    },
     cache: {
-      playlists: playlistCache.size
+      playlists: playlistCache.size,
+      playlistSummaries: playlistSummaryCache.size,
+      channelTabs: channelTabCache.size
+    },
+    cacheLimits: {
+      playlists: playlistCache.getStats(),
+      playlistSummaries: playlistSummaryCache.getStats(),
+      channelTabs: channelTabCache.getStats()
     }
   };
 }
 
 // Pre-warm the pool (call on server startup)
 async function warmupPool() {
-  console.log('🚀 Warming up instance pool...');
-  await instancePool.initialize();
-  console.log('✅ Pool warmed up and ready');
+  await warmupSharedPool();
   return getPoolStats();
 }
 
 // Clear playlist cache
 function clearCache() {
   playlistCache.clear();
+  playlistSummaryCache.clear();
+  channelTabCache.clear();
   console.log('🗑️ Cache cleared');
 }
 
@@ -1442,5 +1481,10 @@ function clearCache() {
 export { 
   getChannelWithPlaylists, 
   getPlaylist, 
-  getChannelHomePage
+  getChannelHomePage,
+  getChannelShorts,
+  getChannelCommunity,
+  getPoolStats,
+  warmupPool,
+  clearCache
 };
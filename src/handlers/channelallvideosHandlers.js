@@ -1,25 +1,33 @@
-import { Innertube, Log } from 'youtubei.js';
-
-Log.setLevel(Log.Level.NONE);
-
-let ytInstance = null;
-
-// Cache structure for each channel
-const channelCache = new Map();
-
-async function initYouTube() {
-  if (ytInstance) return ytInstance;
-
-  ytInstance = await Innertube.create({
-    retrieve_player: false,
-    generate_session_locally: true,
-    lang: 'en',
-    location: 'US'
-  });
+import { executeWithInstance } from '../utils/youtubePool.js';
+import { recordCacheLookup } from '../utils/metrics.js';
+import { createCacheStore, estimateBytes } from '../utils/cacheStore.js';
+
+const CONFIG = {
+  CACHE_MAX_ENTRIES: 200,                 // Channels kept in memory (LRU)
+  CACHE_MAX_BYTES: 128 * 1024 * 1024,     // 128 MB of video metadata
+  CACHE_MAX_AGE: 1000 * 60 * 60 * 6,      // Complete lists are refetched after 6 hours
+};
 
-  console.log('✅ YouTube instance initialized');
-  return ytInstance;
-}
+// Cache structure for each channel. Partial lists are persisted too: after a
+// restart the background fetch re-walks the tabs and seenIds skips known videos.
+// Channels still being fetched are pinned so eviction never orphans a fetch.
+const channelCache = createCacheStore('channelVideos', {
+  maxEntries: CONFIG.CACHE_MAX_ENTRIES,
+  maxBytes: CONFIG.CACHE_MAX_BYTES,
+  sizeOf: cache => estimateBytes(cache.videos),
+  isExpired: cache => cache.isComplete && Date.now() - cache.lastUpdate > CONFIG.CACHE_MAX_AGE,
+  isPinned: cache => cache.isFetching,
+  serialize: ({ videos, channelName, isComplete, lastUpdate, error }) => ({ videos, channelName, isComplete, lastUpdate, error }),
+  deserialize: ({ videos, channelName, isComplete, lastUpdate, error }) => ({
+    videos,
+    channelName,
+    seenIds: new Set(videos.map(v => v.id)),
+    isComplete,
+    isFetching: false,
+    lastUpdate,
+    error
+  })
+});
 
 async function resolveChannelId(youtube, channelIdentifier) {
   let channelId = channelIdentifier;
@@ -28,7 +36,18 @@ async function resolveChannelId(youtube, channelIdentifier) {
     if (channelIdentifier.includes('youtube.com')) {
       const handleMatch = channelIdentifier.match(/@([\w-]+)/);
       const channelMatch = channelIdentifier.match(/channel\/([\w-]+)/);
-      channelIdentifier = handleMatch ? '@' + handleMatch[1] : (channelMatch ? channelMatch[1] : channelIdentifier);
+
+      // Legacy /c/name and /user/name URLs only resolve through YouTube itself
+      if (!handleMatch && !channelMatch) {
+        try {
+          const resolved = await youtube.resolveURL(channelIdentifier.startsWith('http') ? channelIdentifier : `https://${channelIdentifier}`);
+          return resolved?.payload?.browseId || null;
+        } catch (e) {
+          return null;
+        }
+      }
+
+      channelIdentifier = handleMatch ? '@' + handleMatch[1] : channelMatch[1];
     }
 
     if (channelIdentifier.startsWith('@')) {
@@ -49,6 +68,18 @@ async function resolveChannelId(youtube, channelIdentifier) {
   return channelId;
 }
 
+// Resolve identifier and load the channel on a pooled instance.
+// The instance is handed back so background fetches can keep paginating with it.
+async function loadChannel(normalizedIdentifier) {
+  return executeWithInstance(async (youtube) => {
+    const channelId = await resolveChannelId(youtube, normalizedIdentifier);
+    if (!channelId) return { youtube, channelId: null, channel: null };
+
+    const channel = await youtube.getChannel(channelId);
+    return { youtube, channelId, channel };
+  }, { consumer: 'all-videos' });
+}
+
 // FIXED: formatVideo function
 function formatVideo(v) {
   // Get video ID
@@ -308,10 +339,17 @@ function findContinuationToken(obj, depth = 0) {
   return null;
 }
 
+// Which channel tab a video came from: 'video', 'short' or 'live'
+function tagKind(videos, kind) {
+  for (const video of videos) video.kind = kind;
+  return videos;
+}
+
 function initCache(channelId) {
   if (!channelCache.has(channelId)) {
     channelCache.set(channelId, {
       videos: [],
+      channelName: '',
       seenIds: new Set(),
       isComplete: false,
       isFetching: false,
@@ -330,6 +368,7 @@ async function backgroundFetchVideos(channelId, channelName, youtube) {
   }
 
   cache.isFetching = true;
+  cache.channelName = channelName;
   console.log(`\n🔄 [Background] Starting fetch for ${channelName}...`);
 
   try {
@@ -347,9 +386,10 @@ async function backgroundFetchVideos(channelId, channelName, youtube) {
         const beforeCount = cache.videos.length;
 
         // Used extraction method
-        const pageVideos = extractVideosFromTab(videosTab, cache.seenIds);
+        const pageVideos = tagKind(extractVideosFromTab(videosTab, cache.seenIds), 'video');
         cache.videos.push(...pageVideos);
         cache.lastUpdate = Date.now();
+        channelCache.touch(channelId);
 
         const newCount = cache.videos.length - beforeCount;
 
@@ -397,9 +437,10 @@ async function backgroundFetchVideos(channelId, channelName, youtube) {
         pageCount++;
         const beforeCount = cache.videos.length;
 
-        const pageVideos = extractVideosFromBrowse(browseData?.data, cache.seenIds);
+        const pageVideos = tagKind(extractVideosFromBrowse(browseData?.data, cache.seenIds), 'video');
         cache.videos.push(...pageVideos);
         cache.lastUpdate = Date.now();
+        channelCache.touch(channelId);
 
         const newCount = cache.videos.length - beforeCount;
 
@@ -432,9 +473,10 @@ async function backgroundFetchVideos(channelId, channelName, youtube) {
 
       while (shortsPageCount < 200) {
         shortsPageCount++;
-        const pageVideos = extractVideosFromTab(shortsTab, cache.seenIds);
+        const pageVideos = tagKind(extractVideosFromTab(shortsTab, cache.seenIds), 'short');
         cache.videos.push(...pageVideos);
         cache.lastUpdate = Date.now();
+        channelCache.touch(channelId);
 
         if (!shortsTab.has_continuation) break;
 
@@ -460,9 +502,10 @@ async function backgroundFetchVideos(channelId, channelName, youtube) {
 
       while (livePageCount < 100) {
         livePageCount++;
-        const pageVideos = extractVideosFromTab(liveTab, cache.seenIds);
+        const pageVideos = tagKind(extractVideosFromTab(liveTab, cache.seenIds), 'live');
         cache.videos.push(...pageVideos);
         cache.lastUpdate = Date.now();
+        channelCache.touch(channelId);
 
         if (!liveTab.has_continuation) break;
 
@@ -486,6 +529,7 @@ async function backgroundFetchVideos(channelId, channelName, youtube) {
     console.error(`❌ [Background] Error: ${e.message}`);
   } finally {
     cache.isFetching = false;
+    channelCache.touch(channelId);
   }
 }
 
@@ -507,8 +551,6 @@ async function waitForVideos(channelId, requiredCount, maxWaitMs = 30000) {
 
 async function getChannelVideos(channelIdentifier, start = null, end = null) {
   try {
-    const youtube = await initYouTube();
-
     let normalizedIdentifier = channelIdentifier.trim();
     if (!normalizedIdentifier.startsWith('@') && 
         !normalizedIdentifier.includes('youtube.com') && 
@@ -518,14 +560,13 @@ async function getChannelVideos(channelIdentifier, start = null, end = null) {
 
     console.log(`🔍 Resolving channel: ${normalizedIdentifier}`);
 
-    const channelId = await resolveChannelId(youtube, normalizedIdentifier);
+    const { youtube, channelId, channel } = await loadChannel(normalizedIdentifier);
     if (!channelId) {
       return { success: false, error: 'Channel not found' };
     }
 
     console.log(`✅ Found channel ID: ${channelId}`);
 
-    const channel = await youtube.getChannel(channelId);
     if (!channel) {
       return { success: false, error: 'Channel not found' };
     }
@@ -547,6 +588,8 @@ async function getChannelVideos(channelIdentifier, start = null, end = null) {
       backgroundFetchVideos(channelId, channelName, youtube);
     }
 
+    recordCacheLookup('channelVideos', cache.videos.length >= requiredEnd || cache.isComplete);
+
     if (hasRange) {
       if (cache.videos.length >= requiredEnd || cache.isComplete) {
         console.log(`📦 Cache hit: ${cache.videos.length} videos available`);
@@ -597,6 +640,7 @@ async function getChannelVideos(channelIdentifier, start = null, end = null) {
       totalCached: cache.videos.length,
       cacheStatus,
       isComplete: cache.isComplete,
+      lastUpdate: cache.lastUpdate,
       videos: finalVideos
     };
 
@@ -606,6 +650,52 @@ async function getChannelVideos(channelIdentifier, start = null, end = null) {
   }
 }
 
+// Cached list without touching the network (null when the channel isn't cached).
+// The subscription feed uses complete, recent lists instead of fetching its own.
+function getCachedChannelVideos(channelId) {
+  const cache = channelCache.get(channelId);
+  if (!cache) return null;
+
+  return {
+    channelName: cache.channelName || '',
+    videos: cache.videos,
+    isComplete: cache.isComplete,
+    isFetching: cache.isFetching,
+    lastUpdate: cache.lastUpdate
+  };
+}
+
+// Newest uploads only: the first page(s) of the Videos, Shorts and Live tabs,
+// without starting a full-history crawl. The subscription feed caches the result.
+async function fetchLatestUploads(channelId, { pages = 1 } = {}) {
+  return executeWithInstance(async (youtube) => {
+    const channel = await youtube.getChannel(channelId);
+    const seenIds = new Set();
+    const videos = [];
+
+    const tabs = [
+      ['video', () => channel.getVideos()],
+      ['short', () => channel.getShorts()],
+      ['live', () => channel.getLiveStreams()]
+    ];
+
+    for (const [kind, openTab] of tabs) {
+      try {
+        let tab = await openTab();
+        for (let page = 1; ; page++) {
+          videos.push(...tagKind(extractVideosFromTab(tab, seenIds), kind));
+          if (page >= pages || !tab.has_continuation) break;
+          tab = await tab.getContinuation();
+        }
+      } catch (e) {
+        // Most channels have no Shorts or Live tab
+      }
+    }
+
+    return { channelName: channel.metadata?.title || '', videos };
+  }, { consumer: 'subscription-feed' });
+}
+
 function getCacheStatus(channelId) {
   const cache = channelCache.get(channelId);
   if (!cache) {
@@ -622,6 +712,35 @@ function getCacheStatus(channelId) {
   };
 }
 
+// Summary across all cached channels (for monitoring)
+function getCacheSummary() {
+  let videos = 0;
+  let complete = 0;
+  let fetching = 0;
+  let errors = 0;
+
+  for (const cache of channelCache.values()) {
+    videos += cache.videos.length;
+    if (cache.isComplete) complete++;
+    if (cache.isFetching) fetching++;
+    if (cache.error) errors++;
+  }
+
+  const { bytes, maxEntries, maxBytes, evictions } = channelCache.getStats();
+
+  return {
+    channels: channelCache.size,
+    videos,
+    complete,
+    fetching,
+    errors,
+    bytes,
+    maxEntries,
+    maxBytes,
+    evictions
+  };
+}
+
 function clearCache(channelId = null) {
   if (channelId) {
     channelCache.delete(channelId);
@@ -633,8 +752,6 @@ function clearCache(channelId = null) {
 }
 
 async function prefetchChannel(channelIdentifier) {
-  const youtube = await initYouTube();
-
   let normalizedIdentifier = channelIdentifier.trim();
   if (!normalizedIdentifier.startsWith('@') && 
       !normalizedIdentifier.includes('youtube.com') && 
@@ -642,14 +759,13 @@ async function prefetchChannel(channelIdentifier) {
     normalizedIdentifier = '@' + normalizedIdentifier;
   }
 
-  const channelId = await resolveChannelId(youtube, normalizedIdentifier);
+  const { youtube, channelId, channel } = await loadChannel(normalizedIdentifier);
   if (!channelId) {
     console.log('❌ Channel not found');
     return false;
   }
 
-  const channel = await youtube.getChannel(channelId);
-  const channelName = channel.metadata?.title || '';
+  const channelName = channel?.metadata?.title || '';
 
   const cache = initCache(channelId);
 
@@ -665,6 +781,9 @@ export {
   getChannelVideos, 
   resolveChannelId, 
   clearCache, 
+  getCachedChannelVideos,
+  fetchLatestUploads,
   getCacheStatus,
+  getCacheSummary,
   prefetchChannel 
 };
@@ -1,6 +1,24 @@
 import https from 'https';
-const videoCache = new Map();
+import { createCacheStore } from '../utils/cacheStore.js';
+import { executeWithInstance } from '../utils/youtubePool.js';
+
+// Providers are tried in order: 'local' extracts streaming_data through youtubei.js,
+// 'ytdlp' asks the remote ytdlp.online service. STREAM_PROVIDERS=local disables the fallback.
+const PROVIDERS = (process.env.STREAM_PROVIDERS || 'local,ytdlp').split(',').map(p => p.trim()).filter(Boolean);
+const LOCAL_CLIENTS = (process.env.STREAM_CLIENTS || 'TV,WEB_EMBEDDED,WEB').split(',').map(c => c.trim()).filter(Boolean);
+const YTDLP_URL = process.env.YTDLP_URL || 'https://ytdlp.online/stream';
+
 const CACHE_DURATION = 3 * 60 * 1000;
+const CACHE_MAX_ENTRIES = 500;
+const REFRESH_GRACE = 10 * 1000;
+const isExpired = entry => Date.now() - entry.timestamp >= CACHE_DURATION;
+
+// Stream URLs expire quickly, so restored entries past CACHE_DURATION are dropped
+const videoCache = createCacheStore('embedVideos', {
+  maxEntries: CACHE_MAX_ENTRIES,
+  isExpired,
+  deserialize: entry => (isExpired(entry) ? null : entry)
+});
 
 function httpsGet(url, timeout = 90000) {
   return new Promise((resolve, reject) => {
@@ -38,14 +56,9 @@ const YTDLP_HEADERS = {
 
 const sleep = (ms) => new Promise(r => setTimeout(r, ms));
 
-async function fetchVideoInfo(videoId) {
-  const cached = videoCache.get(videoId);
-  if (cached && Date.now() - cached.timestamp < CACHE_DURATION) {
-    console.log('[CACHE] Using cached:', videoId);
-    return cached.data;
-  }
-
-  const apiUrl = `https://ytdlp.online/stream?command=${encodeURIComponent(
+// ===== Remote provider (ytdlp.online SSE) =====
+async function fetchViaYtdlp(videoId) {
+  const apiUrl = `${YTDLP_URL}?command=${encodeURIComponent(
     `https://www.youtube.com/watch?v=${videoId} -j`
   )}`;
 
@@ -95,6 +108,24 @@ async function fetchVideoInfo(videoId) {
 
   console.log('[YTDLP] Found', jsonData.formats?.length, 'formats');
 
+  // yt-dlp lists storyboards as mhtml formats: one fragment per sprite sheet,
+  // fps = thumbnails per second
+  const storyboards = (jsonData.formats || [])
+    .filter(f => f.format_note?.includes('storyboard') && f.fragments?.length && f.fps)
+    .map(f => {
+      const interval = 1 / f.fps;
+      return {
+        width: f.width || 0,
+        height: f.height || 0,
+        columns: f.columns || 1,
+        rows: f.rows || 1,
+        count: Math.ceil((jsonData.duration || 0) / interval),
+        interval,
+        sheets: f.fragments.map(fragment => fragment.url)
+      };
+    })
+    .sort((a, b) => a.width - b.width);
+
   const formats = (jsonData.formats || [])
     .filter(f =>
       f.url &&
@@ -115,21 +146,277 @@ async function fetchVideoInfo(videoId) {
       hasAudio: f.acodec && f.acodec !== 'none'
     }));
 
-  const result = {
+  return {
     id: jsonData.id || videoId,
     title: jsonData.title || 'Unknown',
     duration: jsonData.duration || 0,
-    formats
+    formats,
+    storyboards
   };
+}
 
-  videoCache.set(videoId, {
-    timestamp: Date.now(),
-    data: result
-  });
+// ===== Local provider (youtubei.js streaming_data) =====
+
+const MIME_EXT = {
+  'video/mp4': 'mp4',
+  'video/webm': 'webm',
+  'audio/mp4': 'm4a',
+  'audio/webm': 'webm'
+};
+
+// 'video/mp4; codecs="avc1.640028, mp4a.40.2"' -> { container, codecs: [...] }
+function parseMimeType(mimeType = '') {
+  const [container, params = ''] = mimeType.split(';');
+  const codecMatch = params.match(/codecs="([^"]*)"/);
+  return {
+    container: container.trim(),
+    codecs: codecMatch ? codecMatch[1].split(',').map(c => c.trim()) : []
+  };
+}
+
+async function formatFromStreamingData(f, player) {
+  const { container, codecs } = parseMimeType(f.mime_type);
+  const directUrl = await f.decipher(player);
+
+  const vcodec = f.has_video ? codecs[0] || 'unknown' : 'none';
+  const acodec = f.has_audio ? codecs[f.has_video ? 1 : 0] || 'unknown' : 'none';
+  const bitrate = f.average_bitrate || f.bitrate || 0;
+
+  return {
+    format_id: String(f.itag),
+    directUrl,
+    ext: MIME_EXT[container] || 'mp4',
+    height: f.height || 0,
+    width: f.width || 0,
+    vcodec,
+    acodec,
+    abr: f.has_audio && !f.has_video ? Math.round(bitrate / 1000) : 0,
+    filesize: f.content_length || 0,
+    hasVideo: f.has_video,
+    hasAudio: f.has_audio,
+
+    // Adaptive-streaming metadata (used by the DASH/HLS manifests)
+    mimeType: container,
+    codecs: codecs.join(', '),
+    bitrate,
+    fps: f.fps || 0,
+    audioSampleRate: f.audio_sample_rate || 0,
+    audioChannels: f.audio_channels || 0,
+    initRange: f.init_range || null,
+    indexRange: f.index_range || null,
+    language: f.language || null
+  };
+}
+
+// PlayerStoryboardSpec boards -> sprite sheet levels. A board's template_url
+// still has $M for the sheet number (the smallest level is a single sheet);
+// interval 0 means the thumbnails are spread evenly over the video.
+function storyboardsFromSpec(spec, duration) {
+  if (!spec?.boards) return [];
 
-  return result;
+  return spec.boards
+    .filter(board => board.thumbnail_count > 0 && board.template_url)
+    .map(board => ({
+      width: board.thumbnail_width,
+      height: board.thumbnail_height,
+      columns: board.columns,
+      rows: board.rows,
+      count: board.thumbnail_count,
+      interval: board.interval > 0 ? board.interval / 1000 : (duration || 0) / board.thumbnail_count,
+      sheets: board.template_url.includes('$M')
+        ? Array.from({ length: board.storyboard_count }, (_, i) => board.template_url.replace('$M', i))
+        : [board.template_url]
+    }))
+    .sort((a, b) => a.width - b.width);
 }
 
+async function fetchViaYoutubei(videoId) {
+  return executeWithInstance(async (youtube) => {
+    let lastReason = 'No streaming data';
+
+    for (const client of LOCAL_CLIENTS) {
+      let info;
+      try {
+        info = await youtube.getBasicInfo(videoId, { client });
+      } catch (e) {
+        lastReason = `${client}: ${e.message}`;
+        continue;
+      }
+
+      const status = info.playability_status?.status;
+      const streaming = info.streaming_data;
+
+      if (status !== 'OK' || !streaming) {
+        lastReason = `${client}: ${info.playability_status?.reason || status || 'No streaming data'}`;
+        continue;
+      }
+
+      const candidates = [...(streaming.formats || []), ...(streaming.adaptive_formats || [])]
+        .filter(f =>
+          !f.drm_families?.length &&
+          !f.is_drc &&
+          (!f.audio_track || f.audio_track.audio_is_default)
+        );
+
+      const formats = [];
+      for (const f of candidates) {
+        try {
+          const format = await formatFromStreamingData(f, youtube.session.player);
+          if (format.directUrl) formats.push(format);
+        } catch (e) {
+          console.warn(`[LOCAL] Could not decipher itag ${f.itag}: ${e.message}`);
+        }
+      }
+
+      if (formats.length === 0) {
+        lastReason = `${client}: no playable formats`;
+        continue;
+      }
+
+      console.log(`[LOCAL] ${client}: ${formats.length} formats for ${videoId}`);
+
+      const duration = info.basic_info?.duration || 0;
+
+      return {
+        id: videoId,
+        title: info.basic_info?.title || 'Unknown',
+        duration,
+        formats,
+        storyboards: storyboardsFromSpec(info.storyboards, duration)
+      };
+    }
+
+    throw new Error(lastReason);
+  }, { consumer: 'embed-proxy', player: true, retries: 1 });
+}
+
+const PROVIDER_FETCHERS = {
+  local: fetchViaYoutubei,
+  ytdlp: fetchViaYtdlp
+};
+
+// Concurrent requests for the same video (parallel range requests, several
+// 403 retries at once) share a single provider round-trip.
+const pendingFetches = new Map();
+
+async function resolveVideoInfo(videoId) {
+  let lastError = new Error('No stream providers configured');
 
+  for (const provider of PROVIDERS) {
+    const fetcher = PROVIDER_FETCHERS[provider];
+    if (!fetcher) {
+      console.warn(`[PROVIDER] Unknown stream provider "${provider}"`);
+      continue;
+    }
+
+    try {
+      const result = await fetcher(videoId);
+
+      videoCache.set(videoId, {
+        timestamp: Date.now(),
+        provider,
+        data: result
+      });
+
+      return result;
+    } catch (err) {
+      lastError = err;
+      console.warn(`[PROVIDER] ${provider} failed for ${videoId}: ${err.message}`);
+    }
+  }
+
+  throw lastError;
+}
+
+async function fetchVideoInfo(videoId) {
+  const cached = videoCache.get(videoId);
+  if (cached && !isExpired(cached)) {
+    console.log('[CACHE] Using cached:', videoId);
+    return cached.data;
+  }
+
+  if (!pendingFetches.has(videoId)) {
+    pendingFetches.set(videoId, resolveVideoInfo(videoId).finally(() => pendingFetches.delete(videoId)));
+  }
+  return pendingFetches.get(videoId);
+}
+
+// Drop cached stream URLs for a video (e.g. after googlevideo answered 403)
+function invalidateVideoInfo(videoId) {
+  const existed = videoCache.delete(videoId);
+  if (existed) console.log('[CACHE] Invalidated:', videoId);
+  return existed;
+}
+
+// Re-resolve stream URLs, bypassing the cache. Callers that hit a 403 at the
+// same moment share one refresh, and URLs resolved within REFRESH_GRACE are
+// reused instead of being invalidated again.
+async function refreshVideoInfo(videoId) {
+  if (pendingFetches.has(videoId)) return pendingFetches.get(videoId);
+
+  const cached = videoCache.get(videoId);
+  if (cached && Date.now() - cached.timestamp < REFRESH_GRACE) return cached.data;
+
+  invalidateVideoInfo(videoId);
+  return fetchVideoInfo(videoId);
+}
+
+// Look up a single format, optionally forcing fresh URLs
+async function resolveFormat(videoId, formatId, { refresh = false } = {}) {
+  const info = refresh ? await refreshVideoInfo(videoId) : await fetchVideoInfo(videoId);
+  return info.formats.find(f => f.format_id === formatId) || null;
+}
+
+// ===== Audio-only selection (listening mode) =====
+const AUDIO_CODECS = {
+  opus: f => f.acodec.startsWith('opus'),
+  m4a: f => f.ext === 'm4a' || f.acodec.startsWith('mp4a')
+};
+
+// Best audio-only format by bitrate, optionally restricted to one codec
+// for players that can't decode the other (e.g. no Opus on older Safari)
+async function getBestAudioFormat(videoId, { codec = null } = {}) {
+  const info = await fetchVideoInfo(videoId);
+
+  const candidates = info.formats
+    .filter(f => f.hasAudio && !f.hasVideo && (!codec || AUDIO_CODECS[codec](f)))
+    .sort((a, b) => (b.abr - a.abr) || (b.filesize - a.filesize));
+
+  if (candidates.length === 0) {
+    return { success: false, error: `No ${codec ? `${codec} ` : ''}audio-only format available` };
+  }
+
+  return {
+    success: true,
+    id: info.id,
+    title: info.title,
+    duration: info.duration,
+    format: candidates[0],
+    alternatives: candidates.slice(1).map(f => ({
+      format_id: f.format_id,
+      ext: f.ext,
+      acodec: f.acodec,
+      abr: f.abr
+    }))
+  };
+}
+
+// ===== Storyboards (seek-bar previews) =====
+// Levels are sorted smallest first; thumbnail i is on sheet floor(i / (columns * rows))
+async function getStoryboard(videoId) {
+  const info = await fetchVideoInfo(videoId);
+  const levels = info.storyboards || [];
+
+  if (levels.length === 0) {
+    return { success: false, error: 'No storyboard available for this video' };
+  }
+
+  return {
+    success: true,
+    id: info.id,
+    duration: info.duration,
+    levels
+  };
+}
 
-export { fetchVideoInfo }
+export { AUDIO_CODECS, fetchVideoInfo, invalidateVideoInfo, refreshVideoInfo, resolveFormat, getBestAudioFormat, getStoryboard }
@@ -0,0 +1,206 @@
+import { fetchLatestUploads, getCachedChannelVideos } from './channelallvideosHandlers.js';
+import { createCacheStore, estimateBytes } from '../utils/cacheStore.js';
+import { estimatePublishedAt } from '../utils/feedFormats.js';
+
+// ==================== CONFIGURATION ====================
+const CONFIG = {
+  MAX_CHANNELS: 500,
+  ANONYMOUS_MAX_CHANNELS: 50,      // Signed-out requests name their channels in the URL
+  PER_CHANNEL: 30,                 // Newest uploads per channel (and per tab) that enter the merge
+  PAGES_PER_TAB: 1,                // Tab pages fetched per channel - the head is all the feed shows
+  FIRST_PAGE_WAIT: 8000,           // How long a request waits for uncached channels
+  POLL_INTERVAL: 250,
+  FETCH_CONCURRENCY: 3,            // Channel fetches in flight across all requests
+  REFRESH_AFTER: 1000 * 60 * 30,   // Cached uploads are served while a refresh runs
+  RETRY_FAILED_AFTER: 1000 * 60 * 5,
+  MAX_AGE: 1000 * 60 * 60 * 24,
+};
+
+// ?type= value -> the `kind` each video is tagged with (its channel tab)
+const FEED_TYPES = {
+  all: null,
+  videos: 'video',
+  shorts: 'short',
+  live: 'live'
+};
+
+const KINDS = ['video', 'short', 'live'];
+const CHANNEL_ID_PATTERN = /^UC[\w-]{22}$/;
+
+// A complete, recent getChannelVideos list is used as-is. Otherwise the feed keeps
+// its own small per-channel cache of newest uploads, sized for a full subscription
+// list: prefetchChannel would crawl each channel's whole history (and the 200-entry
+// all-videos cache would evict a large subscription list's own channels).
+// channelId -> { channelName, videos, fetchedAt, error }
+const latestUploads = createCacheStore('feedUploads', {
+  maxEntries: CONFIG.MAX_CHANNELS * 2,
+  sizeOf: entry => estimateBytes(entry.videos),
+  isExpired: entry => Date.now() - entry.fetchedAt > CONFIG.MAX_AGE
+});
+
+// Signed-in feeds are fetched first; signed-out ones only use what's left over
+const fetchQueues = { account: [], anonymous: [] };
+const queued = new Map();                  // channelId -> 'account' | 'anonymous'
+let activeFetches = 0;
+
+// ==================== HELPERS ====================
+
+function getFullList(channelId) {
+  const list = getCachedChannelVideos(channelId);
+  if (!list?.isComplete || list.videos.length === 0) return null;
+  if (Date.now() - list.lastUpdate > CONFIG.REFRESH_AFTER) return null;
+
+  return { channelName: list.channelName, videos: list.videos, fetchedAt: list.lastUpdate };
+}
+
+const uploadsFor = channelId => getFullList(channelId) || latestUploads.get(channelId) || null;
+
+function needsFetch(channelId) {
+  if (getFullList(channelId)) return false;
+
+  const entry = latestUploads.get(channelId);
+  if (!entry) return true;
+
+  const age = Date.now() - entry.fetchedAt;
+  return entry.error ? age > CONFIG.RETRY_FAILED_AFTER : age > CONFIG.REFRESH_AFTER;
+}
+
+async function fetchChannel(channelId) {
+  try {
+    const { channelName, videos } = await fetchLatestUploads(channelId, { pages: CONFIG.PAGES_PER_TAB });
+    latestUploads.set(channelId, { channelName, videos, fetchedAt: Date.now(), error: null });
+  } catch (e) {
+    console.log(`⚠️ Feed fetch failed for ${channelId}: ${e.message}`);
+    const previous = latestUploads.get(channelId);
+    latestUploads.set(channelId, {
+      channelName: previous?.channelName || '',
+      videos: previous?.videos || [],
+      fetchedAt: Date.now(),
+      error: e.message
+    });
+  }
+}
+
+function drainQueue() {
+  while (activeFetches < CONFIG.FETCH_CONCURRENCY) {
+    const channelId = fetchQueues.account.shift() ?? fetchQueues.anonymous.shift();
+    if (!channelId) break;
+    activeFetches++;
+
+    fetchChannel(channelId).finally(() => {
+      activeFetches--;
+      queued.delete(channelId);
+      drainQueue();
+    });
+  }
+}
+
+// Shared queues, so concurrent requests (and repeated ones) never add up to
+// more than FETCH_CONCURRENCY channel fetches at a time
+function queueFetches(channelIds, { anonymous = false } = {}) {
+  const queueName = anonymous ? 'anonymous' : 'account';
+
+  for (const channelId of channelIds) {
+    const current = queued.get(channelId);
+    if (current === 'account' || current === queueName) continue;
+
+    // An account now waits on a channel a signed-out request queued: move it up
+    if (current === 'anonymous') {
+      const index = fetchQueues.anonymous.indexOf(channelId);
+      if (index < 0) continue;               // Already being fetched
+      fetchQueues.anonymous.splice(index, 1);
+    }
+
+    queued.set(channelId, queueName);
+    fetchQueues[queueName].push(channelId);
+  }
+  drainQueue();
+}
+
+async function waitForFirstPages(channelIds, maxWaitMs) {
+  const startTime = Date.now();
+
+  while (Date.now() - startTime < maxWaitMs) {
+    if (channelIds.every(uploadsFor)) return true;
+    await new Promise(r => setTimeout(r, CONFIG.POLL_INTERVAL));
+  }
+
+  return false;
+}
+
+// ==================== SUBSCRIPTION FEED ====================
+
+// Merge the newest uploads of several channels into one list, newest first.
+// Each channel tab is already newest-first, so only its head can be recent; videos
+// without a parsable upload time (most Shorts) follow the dated ones, interleaved
+// by their position in each channel's tab.
+async function getSubscriptionFeed(channelIds, { start = 1, end = 30, type = 'all', anonymous = false } = {}) {
+  const validIds = [...new Set(channelIds)].filter(id => CHANNEL_ID_PATTERN.test(id));
+  const ids = validIds.slice(0, anonymous ? CONFIG.ANONYMOUS_MAX_CHANNELS : CONFIG.MAX_CHANNELS);
+
+  const stale = ids.filter(needsFetch);
+  if (stale.length > 0) {
+    console.log(`📺 Feed: fetching ${stale.length}/${ids.length} channels`);
+    queueFetches(stale, { anonymous });
+  }
+
+  const missing = ids.filter(id => !uploadsFor(id));
+  if (missing.length > 0) {
+    await waitForFirstPages(missing, CONFIG.FIRST_PAGE_WAIT);
+  }
+
+  const kinds = FEED_TYPES[type] ? [FEED_TYPES[type]] : KINDS;
+  const dated = [];
+  const undated = [];
+  const pending = [];
+  const seenIds = new Set();                 // Collaborations show up on several channels
+
+  ids.forEach((channelId, channelIndex) => {
+    const cached = uploadsFor(channelId);
+    if (!cached || cached.videos.length === 0) {
+      pending.push(channelId);
+      return;
+    }
+
+    for (const kind of kinds) {
+      cached.videos
+        .filter(video => (video.kind || 'video') === kind)
+        .slice(0, CONFIG.PER_CHANNEL)
+        .forEach((video, rank) => {
+          if (seenIds.has(video.id)) return;
+          seenIds.add(video.id);
+
+          const publishedAt = estimatePublishedAt(video.published, cached.fetchedAt);
+          const item = {
+            ...video,
+            kind,
+            publishedAt,
+            channel: { id: channelId, name: cached.channelName }
+          };
+          (publishedAt ? dated : undated).push({ item, rank, channelIndex });
+        });
+    }
+  });
+
+  dated.sort((a, b) => (b.item.publishedAt - a.item.publishedAt) || (a.rank - b.rank));
+  undated.sort((a, b) => (a.rank - b.rank) || (a.channelIndex - b.channelIndex));
+
+  const items = [...dated, ...undated].map(entry => entry.item);
+
+  return {
+    success: true,
+    type,
+    range: { start, end },
+    channels: {
+      total: ids.length,
+      ready: ids.length - pending.length,
+      pending,
+      skipped: validIds.length - ids.length
+    },
+    totalItems: items.length,
+    hasMore: items.length > end,
+    items: items.slice(start - 1, end)
+  };
+}
+
+export { FEED_TYPES, getSubscriptionFeed };
@@ -0,0 +1,315 @@
+import https from 'https';
+import { fetchVideoInfo, resolveFormat } from './embedproxyHandlers.js';
+import { createCacheStore } from '../utils/cacheStore.js';
+
+// ==================== CONFIGURATION ====================
+const CONFIG = {
+  SEGMENT_CACHE_TTL: 60 * 60 * 1000,   // sidx layout never changes for a format
+  SEGMENT_CACHE_MAX_ENTRIES: 500,
+  RANGE_TIMEOUT: 15000,
+};
+
+// videoId|formatId -> { segments, timestamp }
+const segmentCache = createCacheStore('hlsSegments', {
+  maxEntries: CONFIG.SEGMENT_CACHE_MAX_ENTRIES,
+  isExpired: entry => Date.now() - entry.timestamp > CONFIG.SEGMENT_CACHE_TTL
+});
+
+// ==================== HELPERS ====================
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Only adaptive formats with byte ranges can be described by SegmentBase / EXT-X-BYTERANGE
+function isSegmentable(f) {
+  return Boolean(f.directUrl && f.initRange && f.indexRange && f.mimeType && f.codecs);
+}
+
+function getAdaptiveFormats(info) {
+  const adaptive = info.formats.filter(f => isSegmentable(f) && f.hasVideo !== f.hasAudio);
+  return {
+    video: adaptive.filter(f => f.hasVideo).sort((a, b) => (b.height || 0) - (a.height || 0)),
+    audio: adaptive.filter(f => f.hasAudio).sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0))
+  };
+}
+
+// Group by container + codec family: players can't switch codecs inside a set
+function groupBy(formats, keyFn) {
+  const groups = new Map();
+  for (const f of formats) {
+    const key = keyFn(f);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(f);
+  }
+  return [...groups.values()];
+}
+
+const codecFamily = f => `${f.mimeType}|${f.codecs.split('.')[0]}`;
+
+function fetchRange(url, start, end) {
+  return new Promise((resolve, reject) => {
+    const urlObj = new URL(url);
+    const req = https.request({
+      hostname: urlObj.hostname,
+      port: 443,
+      path: urlObj.pathname + urlObj.search,
+      method: 'GET',
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+        'Accept': '*/*',
+        'Range': `bytes=${start}-${end}`,
+        'Referer': 'https://www.youtube.com/',
+        'Origin': 'https://www.youtube.com'
+      },
+      timeout: CONFIG.RANGE_TIMEOUT
+    }, (res) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => resolve({ status: res.statusCode, data: Buffer.concat(chunks) }));
+    });
+    req.on('error', reject);
+    req.on('timeout', () => { req.destroy(); reject(new Error('Timeout')); });
+    req.end();
+  });
+}
+
+// Parse an ISO-BMFF 'sidx' box into byte-range segments.
+// Offsets are absolute: the first subsegment starts right after the box + first_offset.
+// time is the segment's start in seconds, counted from the first subsegment.
+function parseSidx(buffer, boxStart) {
+  const size = buffer.readUInt32BE(0);
+  if (buffer.toString('ascii', 4, 8) !== 'sidx') {
+    throw new Error('Index range does not contain a sidx box');
+  }
+
+  const version = buffer.readUInt8(8);
+  const timescale = buffer.readUInt32BE(16);
+  let pos = 20;
+  let firstOffset;
+
+  if (version === 0) {
+    firstOffset = buffer.readUInt32BE(pos + 4);
+    pos += 8;
+  } else {
+    firstOffset = Number(buffer.readBigUInt64BE(pos + 8));
+    pos += 16;
+  }
+
+  const referenceCount = buffer.readUInt16BE(pos + 2);
+  pos += 4;
+
+  const segments = [];
+  let offset = boxStart + size + firstOffset;
+  let time = 0;
+
+  for (let i = 0; i < referenceCount; i++) {
+    const referencedSize = buffer.readUInt32BE(pos) & 0x7fffffff;
+    const duration = buffer.readUInt32BE(pos + 4) / timescale;
+    segments.push({ offset, length: referencedSize, time, duration });
+    offset += referencedSize;
+    time += duration;
+    pos += 12;
+  }
+
+  return segments;
+}
+
+// Fetch a byte range of a format, re-resolving the URL once if it has expired
+async function fetchFormatRange(videoId, formatId, start, end) {
+  let format = await resolveFormat(videoId, formatId);
+  if (!format) throw new Error('Format not found');
+
+  let response = await fetchRange(format.directUrl, start, end);
+
+  if (response.status === 403) {
+    format = await resolveFormat(videoId, formatId, { refresh: true });
+    if (!format) throw new Error('Format not found');
+    response = await fetchRange(format.directUrl, start, end);
+  }
+
+  if (response.status >= 400) {
+    throw new Error(`YouTube error: ${response.status}`);
+  }
+
+  return response.data;
+}
+
+async function getSegments(videoId, formatId) {
+  const cacheKey = `${videoId}|${formatId}`;
+  const cached = segmentCache.get(cacheKey);
+  if (cached) return cached.segments;
+
+  const format = await resolveFormat(videoId, formatId);
+  if (!format || !isSegmentable(format)) return null;
+
+  const { start, end } = format.indexRange;
+  const data = await fetchFormatRange(videoId, formatId, start, end);
+
+  const segments = parseSidx(data, start);
+  segmentCache.set(cacheKey, { segments, timestamp: Date.now() });
+  return segments;
+}
+
+// ==================== DASH ====================
+
+function buildRepresentation(f, streamBase) {
+  const attrs = [
+    `id="${escapeXml(f.format_id)}"`,
+    `codecs="${escapeXml(f.codecs)}"`,
+    `bandwidth="${f.bitrate || 0}"`
+  ];
+
+  if (f.hasVideo) {
+    attrs.push(`width="${f.width}"`, `height="${f.height}"`);
+    if (f.fps) attrs.push(`frameRate="${f.fps}"`);
+  } else if (f.audioSampleRate) {
+    attrs.push(`audioSamplingRate="${f.audioSampleRate}"`);
+  }
+
+  const lines = [`      <Representation ${attrs.join(' ')}>`];
+  if (f.hasAudio && f.audioChannels) {
+    lines.push(`        <AudioChannelConfiguration schemeIdUri="urn:mpeg:dash:23003:3:audio_channel_configuration:2011" value="${f.audioChannels}"/>`);
+  }
+  lines.push(
+    `        <BaseURL>${escapeXml(`${streamBase}/${f.format_id}`)}</BaseURL>`,
+    `        <SegmentBase indexRange="${f.indexRange.start}-${f.indexRange.end}">`,
+    `          <Initialization range="${f.initRange.start}-${f.initRange.end}"/>`,
+    '        </SegmentBase>',
+    '      </Representation>'
+  );
+  return lines.join('\n');
+}
+
+async function getDashManifest(videoId, streamBase) {
+  const info = await fetchVideoInfo(videoId);
+  const { video, audio } = getAdaptiveFormats(info);
+
+  if (video.length === 0 && audio.length === 0) {
+    return { success: false, error: 'No adaptive formats with segment index available' };
+  }
+
+  const duration = Number(info.duration) || 0;
+  const sets = [];
+  let setId = 0;
+
+  for (const group of groupBy(video, codecFamily)) {
+    sets.push([
+      `    <AdaptationSet id="${setId++}" contentType="video" mimeType="${group[0].mimeType}" subsegmentAlignment="true" subsegmentStartsWithSAP="1">`,
+      ...group.map(f => buildRepresentation(f, streamBase)),
+      '    </AdaptationSet>'
+    ].join('\n'));
+  }
+
+  for (const group of groupBy(audio, f => `${codecFamily(f)}|${f.language || ''}`)) {
+    const lang = group[0].language ? ` lang="${escapeXml(group[0].language)}"` : '';
+    sets.push([
+      `    <AdaptationSet id="${setId++}" contentType="audio" mimeType="${group[0].mimeType}"${lang} subsegmentAlignment="true" subsegmentStartsWithSAP="1">`,
+      ...group.map(f => buildRepresentation(f, streamBase)),
+      '    </AdaptationSet>'
+    ].join('\n'));
+  }
+
+  const manifest = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<MPD xmlns="urn:mpeg:dash:schema:mpd:2011" profiles="urn:mpeg:dash:profile:isoff-on-demand:2011" type="static" minBufferTime="PT1.5S" mediaPresentationDuration="PT${duration}S">`,
+    `  <Period id="0" start="PT0S" duration="PT${duration}S">`,
+    ...sets,
+    '  </Period>',
+    '</MPD>',
+    ''
+  ].join('\n');
+
+  return { success: true, manifest };
+}
+
+// ==================== HLS ====================
+// HLS only carries fMP4 here, so WebM (VP9/Opus) formats are left to DASH
+
+const isHlsCompatible = f => f.mimeType === 'video/mp4' || f.mimeType === 'audio/mp4';
+
+async function getHlsMasterPlaylist(videoId, playlistBase) {
+  const info = await fetchVideoInfo(videoId);
+  const { video, audio } = getAdaptiveFormats(info);
+  const hlsVideo = video.filter(isHlsCompatible);
+  const hlsAudio = audio.filter(isHlsCompatible);
+
+  if (hlsVideo.length === 0 || hlsAudio.length === 0) {
+    return { success: false, error: 'No MP4 adaptive formats available for HLS' };
+  }
+
+  const bestAudio = hlsAudio[0];
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:7', '#EXT-X-INDEPENDENT-SEGMENTS', ''];
+
+  hlsAudio.forEach((f, i) => {
+    const name = `${Math.round((f.bitrate || 0) / 1000)} kbps${f.language ? ` (${f.language})` : ''}`;
+    lines.push(
+      `#EXT-X-MEDIA:TYPE=AUDIO,GROUP-ID="audio",NAME="${name}",` +
+      `${f.language ? `LANGUAGE="${f.language}",` : ''}` +
+      `DEFAULT=${i === 0 ? 'YES' : 'NO'},AUTOSELECT=YES,URI="${playlistBase}/${f.format_id}.m3u8"`
+    );
+  });
+  lines.push('');
+
+  for (const f of hlsVideo) {
+    const attrs = [
+      `BANDWIDTH=${(f.bitrate || 0) + (bestAudio.bitrate || 0)}`,
+      `CODECS="${f.codecs},${bestAudio.codecs}"`,
+      `RESOLUTION=${f.width}x${f.height}`
+    ];
+    if (f.fps) attrs.push(`FRAME-RATE=${f.fps}`);
+    attrs.push('AUDIO="audio"');
+
+    lines.push(`#EXT-X-STREAM-INF:${attrs.join(',')}`, `${playlistBase}/${f.format_id}.m3u8`);
+  }
+
+  return { success: true, playlist: lines.join('\n') + '\n' };
+}
+
+async function getHlsMediaPlaylist(videoId, formatId, streamBase) {
+  const format = await resolveFormat(videoId, formatId);
+  if (!format || !isSegmentable(format) || !isHlsCompatible(format)) {
+    return { success: false, error: 'Format not found or not segmentable' };
+  }
+
+  const segments = await getSegments(videoId, formatId);
+  if (!segments || segments.length === 0) {
+    return { success: false, error: 'Could not read segment index' };
+  }
+
+  const uri = `${streamBase}/${formatId}`;
+  const targetDuration = Math.ceil(Math.max(...segments.map(s => s.duration)));
+
+  const lines = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:7',
+    `#EXT-X-TARGETDURATION:${targetDuration}`,
+    '#EXT-X-PLAYLIST-TYPE:VOD',
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    `#EXT-X-MAP:URI="${uri}",BYTERANGE="${format.initRange.end + 1}@0"`
+  ];
+
+  for (const segment of segments) {
+    lines.push(
+      `#EXTINF:${segment.duration.toFixed(3)},`,
+      `#EXT-X-BYTERANGE:${segment.length}@${segment.offset}`,
+      uri
+    );
+  }
+
+  lines.push('#EXT-X-ENDLIST');
+  return { success: true, playlist: lines.join('\n') + '\n' };
+}
+
+export {
+  getDashManifest,
+  getHlsMasterPlaylist,
+  getHlsMediaPlaylist,
+  getSegments,
+  fetchFormatRange,
+  isSegmentable
+};
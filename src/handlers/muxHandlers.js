@@ -0,0 +1,111 @@
+import { fetchVideoInfo } from './embedproxyHandlers.js';
+import { getSegments, fetchFormatRange, isSegmentable } from './manifestHandlers.js';
+import { buildInitSegment, readTimescale, FragmentRewriter, VIDEO_TRACK_ID, AUDIO_TRACK_ID } from '../utils/fmp4Muxer.js';
+
+const DEFAULT_HEIGHT = 1080;
+
+// Prefer H.264 for compatibility (TVs, older browsers); AV1 only when it's all there is
+const VIDEO_CODEC_PREFERENCE = ['avc1', 'av01'];
+
+function selectMuxFormats(info, height) {
+  const video = info.formats.filter(f =>
+    f.hasVideo && !f.hasAudio && f.mimeType === 'video/mp4' && isSegmentable(f)
+  );
+  const audio = info.formats
+    .filter(f => f.hasAudio && !f.hasVideo && f.mimeType === 'audio/mp4' && isSegmentable(f))
+    .sort((a, b) => (b.bitrate || 0) - (a.bitrate || 0));
+
+  let bestVideo = null;
+  for (const codec of VIDEO_CODEC_PREFERENCE) {
+    const candidates = video.filter(f => f.codecs.startsWith(codec));
+    if (candidates.length === 0) continue;
+
+    const fitting = candidates
+      .filter(f => f.height <= height)
+      .sort((a, b) => (b.height - a.height) || ((b.bitrate || 0) - (a.bitrate || 0)));
+    bestVideo = fitting[0] || candidates.sort((a, b) => a.height - b.height)[0];
+    break;
+  }
+
+  return { video: bestVideo, audio: audio[0] || null };
+}
+
+// Merge both segment lists into one fetch order, interleaved by start time
+function buildFetchOrder(videoSegments, audioSegments, start) {
+  const fromStart = segments => segments.filter(s => s.time + s.duration > start);
+
+  const order = [
+    ...fromStart(videoSegments).map(segment => ({ segment, kind: 'video' })),
+    ...fromStart(audioSegments).map(segment => ({ segment, kind: 'audio' }))
+  ];
+  return order.sort((a, b) => a.segment.time - b.segment.time);
+}
+
+// startOffset: seconds into the video where the first fetched segment begins;
+// both tracks are shifted back by it so the muxed stream starts at zero
+async function* muxChunks(videoId, video, audio, order, startOffset) {
+  const formats = { video, audio };
+  const trackIds = { video: VIDEO_TRACK_ID, audio: AUDIO_TRACK_ID };
+
+  const fetchSegment = ({ segment, kind }) =>
+    fetchFormatRange(videoId, formats[kind].format_id, segment.offset, segment.offset + segment.length - 1);
+
+  const [videoInit, audioInit] = await Promise.all([
+    fetchFormatRange(videoId, video.format_id, 0, video.initRange.end),
+    fetchFormatRange(videoId, audio.format_id, 0, audio.initRange.end)
+  ]);
+  yield buildInitSegment(videoInit, audioInit);
+
+  const rewriter = new FragmentRewriter({
+    [VIDEO_TRACK_ID]: Math.round(startOffset * readTimescale(videoInit)),
+    [AUDIO_TRACK_ID]: Math.round(startOffset * readTimescale(audioInit))
+  });
+
+  // Keep one segment in flight while the previous one is written to the client
+  let pending = order.length > 0 ? fetchSegment(order[0]) : null;
+
+  for (let i = 0; i < order.length; i++) {
+    const data = await pending;
+    pending = i + 1 < order.length ? fetchSegment(order[i + 1]) : null;
+    pending?.catch(() => {});
+
+    yield rewriter.rewrite(data, trackIds[order[i].kind]);
+  }
+}
+
+// Resolve formats and segment indexes up front so errors can still become JSON responses.
+// Returns { success, video, audio, startOffset, chunks } where chunks is an async iterable
+// of Buffers and startOffset is the video time (seconds) the stream's zero maps to.
+async function prepareMuxedStream(videoId, { height = DEFAULT_HEIGHT, start = 0 } = {}) {
+  const info = await fetchVideoInfo(videoId);
+  const { video, audio } = selectMuxFormats(info, height);
+
+  if (!video || !audio) {
+    return { success: false, error: 'No MP4 video-only and audio-only formats available to mux' };
+  }
+
+  const [videoSegments, audioSegments] = await Promise.all([
+    getSegments(videoId, video.format_id),
+    getSegments(videoId, audio.format_id)
+  ]);
+
+  if (!videoSegments?.length || !audioSegments?.length) {
+    return { success: false, error: 'Could not read segment index' };
+  }
+
+  const order = buildFetchOrder(videoSegments, audioSegments, start);
+  // Segments start on keyframes, so this is at or just before the requested start
+  const startOffset = order.length > 0 ? order[0].segment.time : 0;
+
+  console.log(`[MUX] ${videoId}: video ${video.format_id} (${video.height}p) + audio ${audio.format_id}, ${order.length} segments from ${start}s`);
+
+  return {
+    success: true,
+    video,
+    audio,
+    startOffset,
+    chunks: muxChunks(videoId, video, audio, order, startOffset)
+  };
+}
+
+export { prepareMuxedStream };
@@ -1,7 +1,6 @@
-import { Innertube, Log } from 'youtubei.js';
-
-// Disable youtubei.js warnings (none important)
-Log.setLevel(Log.Level.NONE);
+import { executeWithInstance, getPoolStats } from '../utils/youtubePool.js';
+import { recordCacheLookup } from '../utils/metrics.js';
+import { createCacheStore, estimateBytes } from '../utils/cacheStore.js';
 
 // ==================== CONFIGURATION ====================
 
@@ -9,10 +8,22 @@ const CONFIG = {
   SEARCH_CACHE_TTL: 5 * 60 * 1000,
   VIDEO_CACHE_TTL: 30 * 60 * 1000,
   COMMENT_CACHE_TTL: 10 * 60 * 1000,
+  TRENDING_CACHE_TTL: 15 * 60 * 1000,
   MAX_RESULTS_PER_SEARCH: 500,
   MAX_COMMENTS: 200,
+  COMMENT_ANALYSIS_SEED: 100,         // comments loaded before searching/analyzing
+  COMMENT_TIMESTAMP_BUCKET: 30,       // seconds per timestamp histogram bucket
+  COMMENT_MAX_BUCKETS: 500,           // buckets widen so a histogram never exceeds this
   BACKGROUND_FETCH_DELAY: 50,
   ENABLE_LOGGING: true,
+
+  // Per-cache LRU budgets
+  CACHE_LIMITS: {
+    search: { maxEntries: 500, maxBytes: 32 * 1024 * 1024 },
+    video: { maxEntries: 2000, maxBytes: 32 * 1024 * 1024 },
+    comment: { maxEntries: 300, maxBytes: 32 * 1024 * 1024 },
+    trending: { maxEntries: 200, maxBytes: 8 * 1024 * 1024 }
+  },
 };
 
 const log = CONFIG.ENABLE_LOGGING 
@@ -20,61 +31,33 @@ const log = CONFIG.ENABLE_LOGGING
   : () => {};
 
 
-// YOUTUBE INSTANCE
-let youtubeInstance = null;
-let instancePromise = null;
-let instanceCreatedAt = 0;
-const INSTANCE_TTL = 30 * 60 * 1000;
-
-function generateVisitorData() {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
-  let result = 'Cgt';
-  for (let i = 0; i < 22; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
-}
-
-async function getYouTube(forceNew = false) {
-  if (youtubeInstance && !forceNew && (Date.now() - instanceCreatedAt < INSTANCE_TTL)) {
-    return youtubeInstance;
-  }
-
-  if (instancePromise && !forceNew) {
-    return instancePromise;
-  }
-
-  instancePromise = (async () => {
-    try {
-      youtubeInstance = await Innertube.create({
-        retrieve_player: false,
-        generate_session_locally: true,
-        enable_session_cache: false,
-        lang: 'en',
-        location: 'US',
-        visitor_data: generateVisitorData()
-      });
-      instanceCreatedAt = Date.now();
-      log('✅ YouTube instance ready');
-      return youtubeInstance;
-    } catch (error) {
-      console.error('YouTube init failed:', error.message);
-      instancePromise = null;
-      throw error;
-    }
-  })();
-
-  return instancePromise;
-}
-
-getYouTube().catch(() => {});
-
 // FAST CACHE
 
+// serialize/deserialize convert entry data to and from plain JSON for persistent
+// backends; serialize returns undefined for entries that hold live continuations.
+// sizeOf measures the plain part of an entry for the byte budget.
 class FastCache {
-  constructor(ttl) {
-    this.cache = new Map();
+  constructor(ttl, name, {
+    serialize = data => data,
+    deserialize = data => data,
+    sizeOf = estimateBytes
+  } = {}) {
     this.ttl = ttl;
+    this.name = name;
+    this.cache = createCacheStore(name, {
+      ...CONFIG.CACHE_LIMITS[name],
+      sizeOf: entry => sizeOf(entry.data),
+      isExpired: entry => Date.now() - entry.ts > ttl,
+      serialize: (entry) => {
+        const data = serialize(entry.data);
+        return data === undefined ? undefined : { ts: entry.ts, data };
+      },
+      deserialize: ({ ts, data }) => {
+        if (Date.now() - ts > ttl) return null;
+        const restored = deserialize(data);
+        return restored ? { ts, data: restored } : null;
+      }
+    });
   }
 
   key(...parts) {
@@ -83,11 +66,16 @@ class FastCache {
 
   get(key) {
     const entry = this.cache.get(key);
-    if (!entry) return null;
+    if (!entry) {
+      recordCacheLookup(this.name, false);
+      return null;
+    }
     if (Date.now() - entry.ts > this.ttl) {
       this.cache.delete(key);
+      recordCacheLookup(this.name, false);
       return null;
     }
+    recordCacheLookup(this.name, true);
     return entry.data;
   }
 
@@ -110,11 +98,39 @@ class FastCache {
   size() {
     return this.cache.size;
   }
+
+  getStats() {
+    const { entries, bytes, maxEntries, maxBytes, evictions } = this.cache.getStats();
+    return { entries, bytes, maxEntries, maxBytes, evictions };
+  }
 }
 
-const searchCache = new FastCache(CONFIG.SEARCH_CACHE_TTL);
-const videoCache = new FastCache(CONFIG.VIDEO_CACHE_TTL);
-const commentCache = new FastCache(CONFIG.COMMENT_CACHE_TTL);
+// Paginated entries are only persisted once complete; the searchData/thread
+// continuation objects can't be serialized, so partial entries would be stuck.
+const searchCache = new FastCache(CONFIG.SEARCH_CACHE_TTL, 'search', {
+  serialize: ({ results, fetchedAt, isComplete }) => (isComplete ? { results, fetchedAt } : undefined),
+  deserialize: ({ results, fetchedAt }) => ({
+    results,
+    fetchedAt,
+    seenIds: new Set(results.map(r => r.id).filter(Boolean)),
+    searchData: null,
+    isComplete: true
+  }),
+  sizeOf: ({ results }) => estimateBytes(results)
+});
+const videoCache = new FastCache(CONFIG.VIDEO_CACHE_TTL, 'video');
+const commentCache = new FastCache(CONFIG.COMMENT_CACHE_TTL, 'comment', {
+  serialize: ({ comments, isComplete }) => (isComplete ? { comments } : undefined),
+  deserialize: ({ comments }) => ({
+    comments,
+    seenIds: new Set(comments.map(c => c.id).filter(Boolean)),
+    thread: null,
+    replyThreads: new Map(),
+    isComplete: true
+  }),
+  sizeOf: ({ comments }) => estimateBytes(comments)
+});
+const trendingCache = new FastCache(CONFIG.TRENDING_CACHE_TTL, 'trending');
 
 const activeFetches = new Set();
 
@@ -221,6 +237,148 @@ function extractHashtags(text) {
   return [...new Set(matches)];
 }
 
+// RICH TEXT
+// Structured runs for comments and descriptions, so clients can render
+// links without re-parsing text:
+//   { type: 'text', text }
+//   { type: 'url', text, url }
+//   { type: 'timestamp', text, seconds, videoId }
+//   { type: 'video', text, videoId, url }
+//   { type: 'channel', text, channelId, handle }
+//   { type: 'hashtag', text, tag }
+
+// Order matters: URLs first so "https://x.com/#a" isn't split into a hashtag
+const RICH_TEXT_PATTERN = new RegExp([
+  String.raw`(?<url>https?:\/\/[^\s<>"]+)`,
+  String.raw`(?<timestamp>(?<![\w:])(?:\d{1,2}:)?\d{1,2}:[0-5]\d(?![\w:]))`,
+  String.raw`(?<handle>(?<![\w@.])@[\w.-]{3,30})`,
+  String.raw`(?<hashtag>(?<![\w#&])#[\p{L}\p{N}_]*\p{L}[\p{L}\p{N}_]*)`
+].join('|'), 'gu');
+
+const TIMESTAMP_TEXT = /^\s*(?:\d{1,2}:)?\d{1,2}:[0-5]\d\s*$/;
+
+// Strip punctuation that usually ends a sentence rather than the URL/handle
+const trimTrailing = value => value.replace(/[.,!?;:'")\]]+$/, '');
+
+function tokenizeRichText(text, videoId = null) {
+  const runs = [];
+  let last = 0;
+
+  for (const match of text.matchAll(RICH_TEXT_PATTERN)) {
+    const { url, timestamp, handle, hashtag } = match.groups;
+    let value = match[0];
+    let run;
+
+    if (url) {
+      value = trimTrailing(url);
+      run = { type: 'url', text: value, url: value };
+    } else if (timestamp) {
+      run = { type: 'timestamp', text: value, seconds: parseDuration(value), videoId };
+    } else if (handle) {
+      value = trimTrailing(handle);
+      run = { type: 'channel', text: value, channelId: null, handle: value };
+    } else if (hashtag) {
+      run = { type: 'hashtag', text: value, tag: value.slice(1) };
+    }
+
+    if (match.index > last) runs.push({ type: 'text', text: text.slice(last, match.index) });
+    runs.push(run);
+    last = match.index + value.length;
+  }
+
+  if (last < text.length) runs.push({ type: 'text', text: text.slice(last) });
+  return runs;
+}
+
+// youtube.com/redirect?q=<target> wraps every external link in descriptions
+function unwrapRedirect(url) {
+  try {
+    const parsed = new URL(url, 'https://www.youtube.com');
+    if (parsed.pathname === '/redirect' && parsed.searchParams.get('q')) {
+      return parsed.searchParams.get('q');
+    }
+    return parsed.href;
+  } catch {
+    return url;
+  }
+}
+
+// Turn a run that carries a navigation endpoint into a typed run
+function runFromEndpoint(text, endpoint, videoId) {
+  const payload = endpoint.payload || {};
+  const path = payload.canonicalBaseUrl || endpoint.metadata?.url || '';
+
+  if (endpoint.name === 'watchEndpoint' && payload.videoId) {
+    if (payload.startTimeSeconds !== undefined && TIMESTAMP_TEXT.test(text)) {
+      return { type: 'timestamp', text, seconds: payload.startTimeSeconds, videoId: payload.videoId };
+    }
+    return { type: 'video', text, videoId: payload.videoId, url: `https://www.youtube.com/watch?v=${payload.videoId}` };
+  }
+
+  if (endpoint.name === 'urlEndpoint' && payload.url) {
+    return { type: 'url', text, url: unwrapRedirect(payload.url) };
+  }
+
+  if (endpoint.name === 'browseEndpoint') {
+    if (path.startsWith('/hashtag/')) {
+      return { type: 'hashtag', text, tag: decodeURIComponent(path.slice('/hashtag/'.length)) };
+    }
+    if (payload.browseId?.startsWith('UC')) {
+      const handle = path.startsWith('/@') ? decodeURIComponent(path.slice(1)) : null;
+      return { type: 'channel', text, channelId: payload.browseId, handle };
+    }
+  }
+
+  const url = endpoint.toURL?.();
+  if (url) return { type: 'url', text, url: unwrapRedirect(url) };
+
+  return tokenizeRichText(text, videoId);
+}
+
+// Like extractText, but keeps links: returns runs (see above) or [] when empty
+function extractRuns(field, videoId = null) {
+  if (!field) return [];
+  if (typeof field === 'string') return tokenizeRichText(field, videoId);
+  if (Array.isArray(field.runs)) {
+    const runs = [];
+    for (const run of field.runs) {
+      if (!run.text) continue;
+      const typed = run.endpoint
+        ? runFromEndpoint(run.text, run.endpoint, videoId)
+        : tokenizeRichText(run.text, videoId);
+      runs.push(...[].concat(typed));
+    }
+    return mergeTextRuns(runs);
+  }
+  if (field.simpleText) return tokenizeRichText(field.simpleText, videoId);
+  if (field.content) return extractRuns(field.content, videoId);
+
+  const text = extractText(field);
+  return text ? tokenizeRichText(text, videoId) : [];
+}
+
+// Trim the outer text runs so the runs join up to the trimmed text
+function trimRuns(runs) {
+  const trimmed = runs.map(run => ({ ...run }));
+  if (trimmed[0]?.type === 'text') trimmed[0].text = trimmed[0].text.trimStart();
+  const last = trimmed[trimmed.length - 1];
+  if (last?.type === 'text') last.text = last.text.trimEnd();
+  return trimmed.filter(run => run.text);
+}
+
+function mergeTextRuns(runs) {
+  const merged = [];
+  for (const run of runs) {
+    const previous = merged[merged.length - 1];
+    if (run.type === 'text' && previous?.type === 'text') {
+      previous.text += run.text;
+    } else {
+      merged.push({ ...run });
+    }
+  }
+  return merged;
+}
+
 
 // VIDEO FORMATTERS
 
@@ -377,8 +535,6 @@ async function search(query, options = {}) {
 
   log(`🔍 Searching: "${query}"`);
 
-  const yt = await getYouTube();
-
   const filters = {};
   if (type !== 'all') filters.type = type.charAt(0).toUpperCase() + type.slice(1);
 
@@ -395,7 +551,10 @@ async function search(query, options = {}) {
 
   try {
     if (!cached) {
-      const searchData = await yt.search(query, filters);
+      const searchData = await executeWithInstance(
+        yt => yt.search(query, filters),
+        { consumer: 'search' }
+      );
       const seenIds = new Set();
       const results = extractSearchResults(searchData, seenIds);
 
@@ -403,6 +562,7 @@ async function search(query, options = {}) {
         results,
         seenIds,
         searchData,
+        fetchedAt: Date.now(),
         isComplete: !searchData?.has_continuation
       };
       searchCache.set(cacheKey, cached);
@@ -487,6 +647,7 @@ function buildSearchResponse(query, options, cached, start, end) {
     totalCached: cached.results.length,
     isComplete: cached.isComplete,
     hasMore: !cached.isComplete || cached.results.length > end,
+    fetchedAt: cached.fetchedAt,
     results,
     videos: results.filter(r => r.type === 'video'),
     channels: results.filter(r => r.type === 'channel'),
@@ -744,6 +905,75 @@ function extractArtists(title) {
   return [...new Set(artists.filter(a => a.length > 2 && a.length < 40 && isValidTag(a)))];
 }
 
+// CHAPTERS
+
+// Player-bar marker keys, in order of preference. AUTO_CHAPTERS are YouTube's
+// generated "key moments" for videos without chapters in the description.
+const CHAPTER_MARKER_KEYS = ['DESCRIPTION_CHAPTERS', 'AUTO_CHAPTERS'];
+
+// "0:00 Intro", "1:02:03 - Part 2", "(12:30) Outro", "Outro 12:30"
+const CHAPTER_LINE_LEADING = /^\s*[-•*▶►]?\s*[([]?((?:\d{1,2}:)?\d{1,2}:\d{2})[)\]]?\s*[-–—:|.]?\s*(.+?)\s*$/;
+const CHAPTER_LINE_TRAILING = /^\s*[-•*▶►]?\s*(.+?)\s*[-–—:|]?\s*[([]?((?:\d{1,2}:)?\d{1,2}:\d{2})[)\]]?\s*$/;
+
+function chaptersFromMarkers(info) {
+  const markers = safeGet(info, 'player_overlays.decorated_player_bar.player_bar.markers_map') || [];
+
+  for (const key of CHAPTER_MARKER_KEYS) {
+    const marker = markers.find(m => m.marker_key === key);
+    const chapters = marker?.value?.chapters;
+    if (!chapters?.length) continue;
+
+    return {
+      source: key === 'AUTO_CHAPTERS' ? 'auto' : 'markers',
+      chapters: chapters.map(c => ({
+        title: extractText(c.title) || '',
+        start: Math.floor((c.time_range_start_millis || 0) / 1000),
+        thumbnail: c.thumbnail?.[0]?.url || null
+      }))
+    };
+  }
+
+  return null;
+}
+
+// Follows YouTube's own rules: the first timestamp is 0:00, there are at
+// least three, and they are strictly ascending.
+function chaptersFromDescription(description) {
+  if (!description || typeof description !== 'string') return null;
+
+  const chapters = [];
+  for (const line of description.split('\n')) {
+    const leading = line.match(CHAPTER_LINE_LEADING);
+    const trailing = !leading && line.match(CHAPTER_LINE_TRAILING);
+    const [time, title] = leading ? [leading[1], leading[2]] : trailing ? [trailing[2], trailing[1]] : [];
+    if (!time || !title) continue;
+
+    const start = parseDuration(time);
+    if (chapters.length > 0 && start <= chapters[chapters.length - 1].start) continue;
+    chapters.push({ title: title.trim(), start, thumbnail: null });
+  }
+
+  if (chapters.length < 3 || chapters[0].start !== 0) return null;
+  return { source: 'description', chapters };
+}
+
+// Returns { source, chapters: [{ title, start, end, thumbnail }] } with end
+// taken from the next chapter (or the video duration for the last one)
+function extractChapters(info, description, duration) {
+  const found = chaptersFromMarkers(info) || chaptersFromDescription(description);
+  if (!found) return { source: null, chapters: [] };
+
+  const chapters = found.chapters.map((chapter, i, all) => ({
+    title: chapter.title,
+    start: chapter.start,
+    end: i + 1 < all.length ? all[i + 1].start : (duration || chapter.start),
+    startFormatted: formatDuration(chapter.start),
+    thumbnail: chapter.thumbnail
+  }));
+
+  return { source: found.source, chapters };
+}
+
 async function getVideoInfo(videoId, options = {}) {
   const {
     includeComments = true,
@@ -763,11 +993,9 @@ async function getVideoInfo(videoId, options = {}) {
 
   log(`📹 Getting video info: ${videoId}`);
 
-  const yt = await getYouTube();
-
   let info;
   try {
-    info = await yt.getInfo(videoId);
+    info = await executeWithInstance(yt => yt.getInfo(videoId), { consumer: 'video-info' });
   } catch (e) {
     log(`❌ getInfo failed: ${e.message}`);
     return { success: false, error: e.message };
@@ -802,6 +1030,17 @@ async function getVideoInfo(videoId, options = {}) {
   const tags = cleanTags(extracted.tags);
   const keywords = cleanTags(extracted.keywords);
 
+  const { source: chaptersSource, chapters } = extractChapters(info, description, extracted.duration);
+
+  // secondary_info carries the link endpoints; a plain description is tokenized instead
+  const secondaryDescription = safeGet(info, 'secondary_info.description');
+  const descriptionRuns = secondaryDescription?.runs?.length
+    ? extractRuns(secondaryDescription, videoId)
+    : extractRuns(description, videoId);
+
+  const captionData = extractCaptionTracks(info);
+  videoCache.set(videoCache.key('captions', videoId), captionData);
+
   const allTags = cleanTags([
     ...tags,
     ...keywords,
@@ -813,6 +1052,7 @@ async function getVideoInfo(videoId, options = {}) {
     id: videoId,
     title,
     description,
+    descriptionRuns,
     thumbnail: extracted.thumbnail,
     duration: extracted.duration,
     durationFormatted: formatDuration(extracted.duration),
@@ -837,6 +1077,11 @@ async function getVideoInfo(videoId, options = {}) {
 
     credits,
 
+    captions: captionData.tracks.map(toPublicTrack),
+
+    chapters,
+    chaptersSource,
+
     metadata: {
       tags,
       keywords,
@@ -899,6 +1144,287 @@ async function getVideoInfo(videoId, options = {}) {
   };
 }
 
+// ============================================================================
+// CAPTIONS
+// ============================================================================
+
+const TIMEDTEXT_BASE = 'https://www.youtube.com';
+
+function extractCaptionTracks(info) {
+  const tracklist = safeGet(info, 'captions');
+
+  const tracks = (tracklist?.caption_tracks || []).map(track => ({
+    languageCode: track.language_code,
+    name: extractText(track.name) || track.language_code,
+    vssId: track.vss_id,
+    kind: track.kind || null,
+    isAutoGenerated: track.kind === 'asr' || String(track.vss_id || '').startsWith('a.'),
+    isTranslatable: Boolean(track.is_translatable),
+    baseUrl: track.base_url
+  }));
+
+  const translationLanguages = (tracklist?.translation_languages || []).map(lang => ({
+    languageCode: lang.language_code,
+    name: extractText(lang.language_name) || lang.language_code
+  }));
+
+  return { tracks, translationLanguages };
+}
+
+// baseUrl is a signed timedtext URL - keep it server-side
+const toPublicTrack = ({ baseUrl, ...track }) => track;
+
+async function getCaptionData(videoId) {
+  const cacheKey = videoCache.key('captions', videoId);
+  const cached = videoCache.get(cacheKey);
+  if (cached) return cached;
+
+  const info = await executeWithInstance(yt => yt.getBasicInfo(videoId), { consumer: 'captions' });
+  const data = extractCaptionTracks(info);
+
+  videoCache.set(cacheKey, data);
+  return data;
+}
+
+async function getCaptionTracks(videoId) {
+  try {
+    const { tracks, translationLanguages } = await getCaptionData(videoId);
+
+    return {
+      success: true,
+      videoId,
+      count: tracks.length,
+      tracks: tracks.map(toPublicTrack),
+      translationLanguages
+    };
+  } catch (e) {
+    log(`❌ Caption tracks failed: ${e.message}`);
+    return { success: false, error: e.message };
+  }
+}
+
+// Manual tracks win over auto-generated ones unless `auto` is requested.
+// With no track in `lang`, a translatable track is machine-translated to it.
+function selectCaptionTrack({ tracks, translationLanguages }, lang, { auto = false } = {}) {
+  const matching = tracks.filter(t => t.languageCode === lang);
+  const ordered = [...matching].sort((a, b) =>
+    auto ? b.isAutoGenerated - a.isAutoGenerated : a.isAutoGenerated - b.isAutoGenerated
+  );
+  if (ordered.length > 0) return { track: ordered[0], translateTo: null };
+
+  const canTranslate = translationLanguages.some(l => l.languageCode === lang);
+  const source = tracks.find(t => t.isTranslatable && !t.isAutoGenerated) || tracks.find(t => t.isTranslatable);
+  if (canTranslate && source) return { track: source, translateTo: lang };
+
+  return null;
+}
+
+// srv1 double-escapes entities (&amp;#39;), so &amp; is decoded first
+function decodeEntities(text) {
+  return text
+    .replace(/&amp;/g, '&')
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(parseInt(code, 10)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;|&apos;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>');
+}
+
+// JSON3: { events: [{ tStartMs, dDurationMs, segs: [{ utf8 }] }] }
+function parseJson3Captions(data) {
+  const cues = [];
+
+  for (const event of data.events || []) {
+    if (!event.segs) continue;
+    const text = event.segs.map(s => s.utf8 || '').join('').trim();
+    if (!text) continue;
+
+    const start = (event.tStartMs || 0) / 1000;
+    cues.push({ start, end: start + (event.dDurationMs || 0) / 1000, text });
+  }
+
+  return cues;
+}
+
+// XML: srv1 <text start="1.2" dur="3.4"> or srv3 <p t="1200" d="3400"> (milliseconds)
+function parseXmlCaptions(xml) {
+  const cues = [];
+  const pattern = /<(text|p)\b([^>]*)>([\s\S]*?)<\/\1>/g;
+  let match;
+
+  while ((match = pattern.exec(xml)) !== null) {
+    const [, tag, attrs, body] = match;
+    const attr = name => attrs.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1];
+
+    const start = tag === 'text' ? parseFloat(attr('start')) : parseInt(attr('t')) / 1000;
+    const duration = tag === 'text' ? parseFloat(attr('dur')) : parseInt(attr('d')) / 1000;
+    const text = decodeEntities(body.replace(/<[^>]+>/g, '')).trim();
+
+    if (!text || isNaN(start)) continue;
+    cues.push({ start, end: start + (duration || 0), text });
+  }
+
+  return cues;
+}
+
+function formatVttTime(seconds) {
+  const ms = Math.round(seconds * 1000);
+  const h = String(Math.floor(ms / 3600000)).padStart(2, '0');
+  const m = String(Math.floor(ms / 60000) % 60).padStart(2, '0');
+  const s = String(Math.floor(ms / 1000) % 60).padStart(2, '0');
+  return `${h}:${m}:${s}.${String(ms % 1000).padStart(3, '0')}`;
+}
+
+function cuesToVtt(cues) {
+  const blocks = cues.map(cue => {
+    const text = cue.text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/-->/g, '--&gt;');
+    return `${formatVttTime(cue.start)} --> ${formatVttTime(cue.end)}\n${text}`;
+  });
+  return `WEBVTT\n\n${blocks.join('\n\n')}\n`;
+}
+
+async function fetchTimedText(baseUrl, translateTo) {
+  const url = new URL(baseUrl, TIMEDTEXT_BASE);
+  url.searchParams.set('fmt', 'json3');
+  if (translateTo) url.searchParams.set('tlang', translateTo);
+
+  const response = await fetch(url, { signal: AbortSignal.timeout(15000) });
+  if (!response.ok) throw new Error(`Timedtext error: ${response.status}`);
+
+  const body = await response.text();
+  if (!body.trim()) throw new Error('Empty caption response');
+
+  // Some tracks ignore fmt and answer with XML
+  return body.trimStart().startsWith('{') ? parseJson3Captions(JSON.parse(body)) : parseXmlCaptions(body);
+}
+
+// Returns { success, videoId, track, translatedTo, cues: [{ start, end, text }] }
+async function getCaptionCues(videoId, lang, options = {}) {
+  const { auto = false } = options;
+  const cacheKey = videoCache.key('cues', videoId, lang, auto ? 'auto' : 'manual');
+  const cached = videoCache.get(cacheKey);
+  if (cached) return cached;
+
+  try {
+    const data = await getCaptionData(videoId);
+    if (data.tracks.length === 0) {
+      return { success: false, error: 'This video has no captions' };
+    }
+
+    const selected = selectCaptionTrack(data, lang, { auto });
+    if (!selected) {
+      return { success: false, error: `No captions available in "${lang}"` };
+    }
+
+    const cues = await fetchTimedText(selected.track.baseUrl, selected.translateTo);
+    log(`💬 Captions ${videoId} [${lang}]: ${cues.length} cues`);
+
+    const result = {
+      success: true,
+      videoId,
+      track: toPublicTrack(selected.track),
+      translatedTo: selected.translateTo,
+      cues
+    };
+
+    videoCache.set(cacheKey, result);
+    return result;
+  } catch (e) {
+    log(`❌ Captions failed: ${e.message}`);
+    return { success: false, error: e.message };
+  }
+}
+
+async function getCaptionsVtt(videoId, lang, options = {}) {
+  const result = await getCaptionCues(videoId, lang, options);
+  if (!result.success) return result;
+
+  return { ...result, vtt: cuesToVtt(result.cues) };
+}
+
+// ============================================================================
+// TRANSCRIPT
+// ============================================================================
+
+const round3 = n => Math.round(n * 1000) / 1000;
+
+function formatTimestamp(seconds) {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+}
+
+// Without a language, prefer the first manual track, then the auto-generated one
+async function pickTranscriptLanguage(videoId) {
+  const { tracks } = await getCaptionData(videoId);
+  const track = tracks.find(t => !t.isAutoGenerated) || tracks[0];
+  return track ? { lang: track.languageCode, auto: track.isAutoGenerated } : null;
+}
+
+// Returns { success, videoId, language, track, query, totalSegments, count,
+// segments: [{ index, start, duration, timestamp, text }] }.
+// With q, only segments containing q (case-insensitive) are returned; index
+// still points at the segment's position in the full transcript.
+async function getTranscript(videoId, options = {}) {
+  let { lang = null, auto = false } = options;
+  const query = options.q ? String(options.q).trim() : '';
+
+  try {
+    if (!lang) {
+      const picked = await pickTranscriptLanguage(videoId);
+      if (!picked) return { success: false, error: 'This video has no captions' };
+      ({ lang, auto } = picked);
+    }
+
+    const result = await getCaptionCues(videoId, lang, { auto });
+    if (!result.success) return result;
+
+    const all = result.cues.map((cue, index) => ({
+      index,
+      start: round3(cue.start),
+      duration: round3(Math.max(0, cue.end - cue.start)),
+      timestamp: formatTimestamp(cue.start),
+      text: cue.text.replace(/\s*\n\s*/g, ' ')
+    }));
+
+    const needle = query.toLowerCase();
+    const segments = needle ? all.filter(s => s.text.toLowerCase().includes(needle)) : all;
+
+    return {
+      success: true,
+      videoId,
+      language: lang,
+      track: result.track,
+      translatedTo: result.translatedTo,
+      query: query || null,
+      totalSegments: all.length,
+      count: segments.length,
+      segments
+    };
+  } catch (e) {
+    log(`❌ Transcript failed: ${e.message}`);
+    return { success: false, error: e.message };
+  }
+}
+
+function formatSrtTime(seconds) {
+  return formatVttTime(seconds).replace('.', ',');
+}
+
+function transcriptToSrt(segments) {
+  return segments.map((s, i) =>
+    `${i + 1}\n${formatSrtTime(s.start)} --> ${formatSrtTime(s.start + s.duration)}\n${s.text}`
+  ).join('\n\n') + '\n';
+}
+
+// Search results keep their timestamps so the text stays navigable
+function transcriptToText(segments, { timestamps = false } = {}) {
+  return segments.map(s => (timestamps ? `[${s.timestamp}] ${s.text}` : s.text)).join('\n') + '\n';
+}
+
 // ============================================================================
 // COMMENTS
 // ============================================================================
@@ -937,6 +1463,8 @@ function parseCommentItem(item) {
 
   if (!text) return null;
 
+  const runs = trimRuns(extractRuns(c.content || c.content_text || c.contentText || c.text));
+
   // AUTHOR INFO
   const author = c.author || {};
   const authorName = author.name || 
@@ -1080,6 +1608,7 @@ function parseCommentItem(item) {
   return {
     id,
     text: text.trim(),
+    runs,
     author: {
       name: authorName,
       id: authorId,
@@ -1097,7 +1626,9 @@ function parseCommentItem(item) {
   };
 }
 
-function parseCommentsFromThread(thread, comments, seenIds) {
+// replyThreads (optional) collects commentId -> CommentThread for comments
+// that have replies, so their reply continuation can be followed later
+function parseCommentsFromThread(thread, comments, seenIds, replyThreads = null) {
   if (!thread) return;
 
   // Try multiple ways to get comments array
@@ -1127,6 +1658,10 @@ function parseCommentsFromThread(thread, comments, seenIds) {
         if (seenIds.has(textKey)) continue;
         seenIds.add(textKey);
 
+        if (replyThreads && parsed.id && item.comment_replies_data) {
+          replyThreads.set(parsed.id, item);
+        }
+
         comments.push(parsed);
       }
     } catch (e) {
@@ -1171,8 +1706,6 @@ async function getVideoComments(videoId, options = {}) {
 
   log(`💬 Fetching comments: ${videoId}`);
 
-  const yt = await getYouTube();
-
   let cacheEntry = commentCache.get(cacheKey);
 
   if (!cacheEntry) {
@@ -1180,12 +1713,16 @@ async function getVideoComments(videoId, options = {}) {
       comments: [],
       seenIds: new Set(),
       thread: null,
+      replyThreads: new Map(),
       isComplete: false
     };
 
     try {
       const sortOpt = sortBy === 'newest' ? 'NEWEST_FIRST' : 'TOP_COMMENTS';
-      cacheEntry.thread = await yt.getComments(videoId, sortOpt);
+      cacheEntry.thread = await executeWithInstance(
+        yt => yt.getComments(videoId, sortOpt),
+        { consumer: 'comments' }
+      );
 
       if (!cacheEntry.thread) {
         log(`ℹ️ No comments available for ${videoId}`);
@@ -1202,7 +1739,7 @@ async function getVideoComments(videoId, options = {}) {
         };
       }
 
-      parseCommentsFromThread(cacheEntry.thread, cacheEntry.comments, cacheEntry.seenIds);
+      parseCommentsFromThread(cacheEntry.thread, cacheEntry.comments, cacheEntry.seenIds, cacheEntry.replyThreads);
       cacheEntry.isComplete = !cacheEntry.thread.has_continuation;
 
     } catch (e) {
@@ -1226,7 +1763,7 @@ async function getVideoComments(videoId, options = {}) {
     try {
       cacheEntry.thread = await cacheEntry.thread.getContinuation();
       const beforeCount = cacheEntry.comments.length;
-      parseCommentsFromThread(cacheEntry.thread, cacheEntry.comments, cacheEntry.seenIds);
+      parseCommentsFromThread(cacheEntry.thread, cacheEntry.comments, cacheEntry.seenIds, cacheEntry.replyThreads);
 
       if (cacheEntry.comments.length === beforeCount) break;
       pages++;
@@ -1277,7 +1814,7 @@ async function backgroundFetchComments(cacheKey, cacheEntry, maxComments) {
     try {
       cacheEntry.thread = await cacheEntry.thread.getContinuation();
       const beforeCount = cacheEntry.comments.length;
-      parseCommentsFromThread(cacheEntry.thread, cacheEntry.comments, cacheEntry.seenIds);
+      parseCommentsFromThread(cacheEntry.thread, cacheEntry.comments, cacheEntry.seenIds, cacheEntry.replyThreads);
 
       if (cacheEntry.comments.length === beforeCount) break;
 
@@ -1297,6 +1834,347 @@ async function backgroundFetchComments(cacheKey, cacheEntry, maxComments) {
   log(`📦 Background comments complete: ${cacheEntry.comments.length} total`);
 }
 
+// Find the CommentThread a comment was loaded from, preferring the given sort
+function findReplyThread(videoId, commentId, sortBy) {
+  const sorts = [sortBy, ...['top', 'newest'].filter(s => s !== sortBy)];
+
+  for (const sort of sorts) {
+    const entry = commentCache.get(commentCache.key('c', videoId, sort));
+    const thread = entry?.replyThreads?.get(commentId);
+    if (thread) return thread;
+  }
+
+  return null;
+}
+
+// Replies use the same entry shape as top-level comments, keyed per comment,
+// with the CommentThread itself holding the reply continuation
+async function getCommentReplies(videoId, commentId, options = {}) {
+  const {
+    start = 1,
+    end = 10,
+    sortBy = 'top'
+  } = options;
+
+  const cacheKey = commentCache.key('r', videoId, commentId);
+  let cacheEntry = commentCache.get(cacheKey);
+
+  const buildResponse = entry => ({
+    success: true,
+    videoId,
+    commentId,
+    range: { start, end },
+    replies: entry.comments.slice(Math.max(0, start - 1), Math.min(entry.comments.length, end)),
+    totalFetched: entry.comments.length,
+    isComplete: entry.isComplete,
+    hasMore: !entry.isComplete || entry.comments.length > end
+  });
+
+  if (cacheEntry && (cacheEntry.comments.length >= end || cacheEntry.isComplete)) {
+    log(`📦 Reply cache hit: ${commentId} (${cacheEntry.comments.length} replies)`);
+    return buildResponse(cacheEntry);
+  }
+
+  if (!cacheEntry) {
+    const thread = findReplyThread(videoId, commentId, sortBy);
+
+    if (!thread) {
+      return {
+        success: false,
+        videoId,
+        commentId,
+        error: 'Comment thread not found - load the video comments first'
+      };
+    }
+
+    log(`💬 Fetching replies: ${commentId}`);
+
+    cacheEntry = {
+      comments: [],
+      seenIds: new Set(),
+      thread,
+      isComplete: false
+    };
+
+    try {
+      await thread.getReplies();
+      parseCommentsFromThread({ contents: thread.replies }, cacheEntry.comments, cacheEntry.seenIds);
+      cacheEntry.isComplete = !thread.has_continuation;
+    } catch (e) {
+      log(`⚠️ Reply fetch failed: ${e.message}`);
+      return {
+        success: false,
+        videoId,
+        commentId,
+        error: 'Could not fetch replies'
+      };
+    }
+  }
+
+  let pages = 0;
+  while (cacheEntry.comments.length < end && !cacheEntry.isComplete && pages < 5) {
+    try {
+      await cacheEntry.thread.getContinuation();
+      const beforeCount = cacheEntry.comments.length;
+      parseCommentsFromThread({ contents: cacheEntry.thread.replies }, cacheEntry.comments, cacheEntry.seenIds);
+      cacheEntry.isComplete = !cacheEntry.thread.has_continuation;
+
+      if (cacheEntry.comments.length === beforeCount) break;
+      pages++;
+    } catch (e) {
+      log(`⚠️ Reply continuation failed: ${e.message}`);
+      break;
+    }
+  }
+
+  for (const reply of cacheEntry.comments) reply.isReply = true;
+  commentCache.set(cacheKey, cacheEntry);
+
+  log(`✅ Replies fetched: ${cacheEntry.comments.length} for ${commentId}`);
+
+  return buildResponse(cacheEntry);
+}
+
+// COMMENT SEARCH & ANALYTICS
+// Both operate on whatever the comment cache holds for the video; the first
+// call seeds it and backgroundFetchComments keeps growing it towards maxComments.
+
+// "1:23", "12:05", "1:02:03" - not part of a longer number/time ("12:30:45:10")
+const COMMENT_TIMESTAMP_PATTERN = /(?<![\d:])((?:\d{1,2}:)?\d{1,2}:[0-5]\d)(?![\d:])/g;
+
+// Dominant-script languages; Latin-script text falls through to stopword scoring
+const SCRIPT_LANGUAGES = [
+  ['ja', /[\p{Script=Hiragana}\p{Script=Katakana}]/gu],
+  ['ko', /\p{Script=Hangul}/gu],
+  ['zh', /\p{Script=Han}/gu],
+  ['ru', /\p{Script=Cyrillic}/gu],
+  ['ar', /\p{Script=Arabic}/gu],
+  ['hi', /\p{Script=Devanagari}/gu],
+  ['bn', /\p{Script=Bengali}/gu],
+  ['ta', /\p{Script=Tamil}/gu],
+  ['th', /\p{Script=Thai}/gu],
+  ['el', /\p{Script=Greek}/gu],
+  ['he', /\p{Script=Hebrew}/gu],
+  ['latin', /\p{Script=Latin}/gu]
+];
+
+const LATIN_STOPWORDS = {
+  en: ['the', 'and', 'is', 'you', 'this', 'that', 'it', 'to', 'of', 'for', 'my', 'was', 'are', 'with', 'have', 'but', 'what', 'just', 'so', 'be'],
+  es: ['el', 'la', 'que', 'de', 'y', 'los', 'las', 'es', 'por', 'muy', 'con', 'una', 'pero', 'mi', 'esta', 'como', 'más', 'lo', 'del', 'se'],
+  pt: ['que', 'não', 'é', 'o', 'muito', 'com', 'uma', 'para', 'eu', 'você', 'isso', 'mais', 'do', 'da', 'mas', 'tem', 'esse', 'os', 'ele', 'ao'],
+  fr: ['le', 'la', 'les', 'est', 'et', 'je', 'pas', 'une', 'des', 'très', 'pour', 'qui', 'dans', 'du', 'sur', 'mais', 'ce', 'vous', 'il', 'au'],
+  de: ['der', 'die', 'und', 'ist', 'das', 'nicht', 'ich', 'ein', 'zu', 'sehr', 'mit', 'auch', 'es', 'du', 'sie', 'den', 'von', 'wie', 'aber', 'ganz'],
+  it: ['il', 'che', 'di', 'è', 'non', 'per', 'una', 'sono', 'molto', 'questo', 'anche', 'gli', 'ma', 'della', 'mi', 'come', 'ho', 'del', 'lo', 'più'],
+  id: ['yang', 'dan', 'ini', 'itu', 'tidak', 'saya', 'ada', 'aku', 'di', 'ke', 'dari', 'banget', 'juga', 'bisa', 'udah', 'sama', 'kak', 'bang', 'gak', 'kalo'],
+  tr: ['bir', 've', 'bu', 'çok', 'için', 'ne', 'ama', 'da', 'de', 'ben', 'gibi', 'daha', 'var', 'mi', 'en', 'o', 'sen', 'güzel', 'olan', 'kadar']
+};
+
+const LATIN_STOPWORD_SETS = Object.entries(LATIN_STOPWORDS).map(([lang, words]) => [lang, new Set(words)]);
+
+function extractCommentTimestamps(text, maxSeconds = 0) {
+  const seconds = [];
+  for (const match of String(text || '').matchAll(COMMENT_TIMESTAMP_PATTERN)) {
+    const value = parseDuration(match[1]);
+    if (maxSeconds && value > maxSeconds) continue;
+    seconds.push(value);
+  }
+  return seconds;
+}
+
+// Best-effort language guess: 'und' when there's too little text to tell
+function detectCommentLanguage(text) {
+  let best = null;
+  let bestCount = 0;
+
+  for (const [lang, pattern] of SCRIPT_LANGUAGES) {
+    const count = (text.match(pattern) || []).length;
+    if (count > bestCount) {
+      best = lang;
+      bestCount = count;
+    }
+  }
+
+  if (!best) return 'und';
+  if (best === 'ru' && /[іїєґ]/i.test(text)) return 'uk';
+  if (best !== 'latin') return best;
+
+  const words = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+  let lang = 'und';
+  let score = 0;
+
+  for (const [candidate, stopwords] of LATIN_STOPWORD_SETS) {
+    const hits = words.filter(w => stopwords.has(w)).length;
+    if (hits > score) {
+      lang = candidate;
+      score = hits;
+    }
+  }
+
+  return lang;
+}
+
+function getCachedDuration(videoId) {
+  return videoCache.get(videoCache.key('v', videoId))?.duration || 0;
+}
+
+// Make sure the comment cache holds at least the first pages, then return the entry
+async function loadCachedComments(videoId, sortBy, maxComments) {
+  const seeded = await getVideoComments(videoId, {
+    start: 1,
+    end: CONFIG.COMMENT_ANALYSIS_SEED,
+    maxComments,
+    sortBy
+  });
+
+  const entry = commentCache.get(commentCache.key('c', videoId, sortBy));
+  return {
+    comments: entry?.comments || [],
+    isComplete: entry ? entry.isComplete : seeded.isComplete,
+    message: seeded.message
+  };
+}
+
+// filters: { q, author, pinned, hearted, hasTimestamp, minLikes }
+// q matches every whitespace-separated term; author matches a name substring or an exact channel id
+function matchesCommentFilters(comment, filters, maxSeconds) {
+  if (filters.pinned && !comment.isPinned) return false;
+  if (filters.hearted && !comment.isHearted) return false;
+  if (filters.minLikes && (comment.likesCount || 0) < filters.minLikes) return false;
+
+  if (filters.author) {
+    const author = filters.author.toLowerCase();
+    const name = (comment.author?.name || '').toLowerCase().replace(/^@/, '');
+    if (comment.author?.id !== filters.author && !name.includes(author.replace(/^@/, ''))) return false;
+  }
+
+  if (filters.q) {
+    const text = comment.text.toLowerCase();
+    const terms = filters.q.toLowerCase().split(/\s+/).filter(Boolean);
+    if (!terms.every(term => text.includes(term))) return false;
+  }
+
+  if (filters.hasTimestamp && extractCommentTimestamps(comment.text, maxSeconds).length === 0) return false;
+
+  return true;
+}
+
+async function searchVideoComments(videoId, options = {}) {
+  const {
+    start = 1,
+    end = 20,
+    sortBy = 'top',
+    maxComments = CONFIG.MAX_COMMENTS,
+    filters = {}
+  } = options;
+
+  log(`🔍 Searching comments: ${videoId} ${JSON.stringify(filters)}`);
+
+  const { comments, isComplete, message } = await loadCachedComments(videoId, sortBy, maxComments);
+  const maxSeconds = getCachedDuration(videoId);
+  const matches = comments.filter(c => matchesCommentFilters(c, filters, maxSeconds));
+
+  return {
+    success: true,
+    videoId,
+    sortBy,
+    filters,
+    range: { start, end },
+    comments: matches.slice(Math.max(0, start - 1), Math.min(matches.length, end)),
+    totalMatches: matches.length,
+    searched: comments.length,
+    isComplete,
+    hasMore: matches.length > end,
+    ...(message && { message })
+  };
+}
+
+async function getCommentStats(videoId, options = {}) {
+  const {
+    sortBy = 'top',
+    maxComments = CONFIG.MAX_COMMENTS,
+    bucketSize = CONFIG.COMMENT_TIMESTAMP_BUCKET,
+    limit = 10
+  } = options;
+
+  const { comments, isComplete } = await loadCachedComments(videoId, sortBy, maxComments);
+  const maxSeconds = getCachedDuration(videoId);
+
+  // Timestamps are only charted against a known duration (an uncapped "99:59:59"
+  // would otherwise size the histogram), and buckets widen for long videos
+  const effectiveBucketSize = Math.max(bucketSize, Math.ceil(maxSeconds / CONFIG.COMMENT_MAX_BUCKETS));
+
+  const commenters = new Map();
+  const languages = new Map();
+  const buckets = new Map();
+  let timestampReferences = 0;
+  let commentsWithTimestamps = 0;
+
+  for (const comment of comments) {
+    const authorKey = comment.author?.id || comment.author?.name || 'Unknown';
+    const commenter = commenters.get(authorKey) || { author: comment.author, count: 0, totalLikes: 0 };
+    commenter.count++;
+    commenter.totalLikes += comment.likesCount || 0;
+    commenters.set(authorKey, commenter);
+
+    const language = detectCommentLanguage(comment.text);
+    languages.set(language, (languages.get(language) || 0) + 1);
+
+    if (!maxSeconds) continue;
+
+    // Count each moment once per comment
+    const timestamps = [...new Set(extractCommentTimestamps(comment.text, maxSeconds))];
+    if (timestamps.length > 0) commentsWithTimestamps++;
+    for (const seconds of timestamps) {
+      const bucket = Math.floor(seconds / effectiveBucketSize);
+      buckets.set(bucket, (buckets.get(bucket) || 0) + 1);
+      timestampReferences++;
+    }
+  }
+
+  const lastBucket = buckets.size ? Math.max(...buckets.keys()) : -1;
+  const histogram = [];
+  for (let bucket = 0; bucket <= lastBucket; bucket++) {
+    histogram.push({
+      start: bucket * effectiveBucketSize,
+      end: (bucket + 1) * effectiveBucketSize,
+      label: formatTimestamp(bucket * effectiveBucketSize),
+      count: buckets.get(bucket) || 0
+    });
+  }
+
+  const percentOf = count => comments.length ? Math.round((count / comments.length) * 1000) / 10 : 0;
+
+  return {
+    success: true,
+    videoId,
+    sortBy,
+    analyzed: comments.length,
+    isComplete,
+    pinnedCount: comments.filter(c => c.isPinned).length,
+    heartedCount: comments.filter(c => c.isHearted).length,
+    topCommenters: [...commenters.values()]
+      .sort((a, b) => (b.count - a.count) || (b.totalLikes - a.totalLikes))
+      .slice(0, limit),
+    mostLiked: [...comments]
+      .sort((a, b) => (b.likesCount || 0) - (a.likesCount || 0))
+      .slice(0, limit),
+    timestamps: {
+      references: timestampReferences,
+      comments: commentsWithTimestamps,
+      durationKnown: maxSeconds > 0,
+      bucketSize: effectiveBucketSize,
+      histogram,
+      peaks: histogram
+        .filter(b => b.count > 0)
+        .sort((a, b) => b.count - a.count)
+        .slice(0, 5)
+    },
+    languages: [...languages.entries()]
+      .map(([language, count]) => ({ language, count, percent: percentOf(count) }))
+      .sort((a, b) => b.count - a.count)
+  };
+}
+
 
 // RELATED VIDEOS
 
@@ -1312,13 +2190,11 @@ async function findRelatedByTags(videoId, options = {}) {
 
   log(`🔗 Finding related videos for ${videoId}`);
 
-  const yt = await getYouTube();
-
   let watchNextVideos = [];
   let videoInfo = null;
 
   try {
-    const info = await yt.getInfo(videoId);
+    const info = await executeWithInstance(yt => yt.getInfo(videoId), { consumer: 'related' });
 
     if (includeWatchNext && info.watch_next_feed) {
       for (const item of info.watch_next_feed) {
@@ -1463,38 +2339,135 @@ async function searchPlaylists(query, options = {}) {
 
 async function getSearchSuggestions(query) {
   try {
-    const yt = await getYouTube();
-    const suggestions = await yt.getSearchSuggestions(query);
+    const suggestions = await executeWithInstance(
+      yt => yt.getSearchSuggestions(query),
+      { consumer: 'search' }
+    );
     return { success: true, query, suggestions: suggestions || [] };
   } catch (e) {
     return { success: false, error: e.message, suggestions: [] };
   }
 }
 
+// Trending tab titles as shown by YouTube, keyed by category
+const TRENDING_CATEGORIES = {
+  now: 'Now',
+  music: 'Music',
+  gaming: 'Gaming',
+  movies: 'Movies'
+};
+
+function formatTrendingVideos(feed) {
+  const results = [];
+  const seenIds = new Set();
+
+  for (const item of feed.videos || []) {
+    if (item.id && !seenIds.has(item.id)) {
+      const formatted = formatVideo(item);
+      if (formatted) {
+        seenIds.add(item.id);
+        results.push(formatted);
+      }
+    }
+  }
+
+  return results;
+}
+
+// One getTrending() call serves every requested category: the other tabs are
+// opened from that same result. Returns { [category]: { available, results } };
+// a category whose tab failed to load is left out (and not cached).
+async function getTrendingSections(region, categories) {
+  const sections = {};
+  const missing = [];
+
+  for (const category of categories) {
+    const cached = trendingCache.get(trendingCache.key('t', region, category));
+    if (cached) sections[category] = cached;
+    else missing.push(category);
+  }
+
+  if (missing.length === 0) {
+    log(`📦 Trending cache hit: ${region}/${categories.join(',')}`);
+    return sections;
+  }
+
+  log(`🔥 Fetching trending: ${region}/${missing.join(',')}`);
+
+  const feeds = await executeWithInstance(async (yt) => {
+    const trending = await yt.getTrending();
+    const feeds = new Map();
+
+    for (const category of missing) {
+      if (category === 'now') {
+        feeds.set(category, trending);
+        continue;
+      }
+
+      const tabTitle = TRENDING_CATEGORIES[category];
+      try {
+        feeds.set(category, trending.tabs.includes(tabTitle) ? await trending.getTabByName(tabTitle) : null);
+      } catch (e) {
+        log(`⚠️ Trending ${category} failed: ${e.message}`);
+      }
+    }
+
+    return feeds;
+  }, { consumer: 'trending', region });
+
+  for (const [category, feed] of feeds) {
+    const section = feed
+      ? { available: true, results: formatTrendingVideos(feed) }
+      : { available: false, results: [] };
+
+    trendingCache.set(trendingCache.key('t', region, category), section);
+    sections[category] = section;
+  }
+
+  return sections;
+}
+
 async function getTrending(options = {}) {
+  const { region = 'US', category = null } = options;
+
   try {
-    const yt = await getYouTube();
-    const trending = await yt.getTrending();
+    if (category) {
+      const section = (await getTrendingSections(region, [category]))[category];
+      if (!section) {
+        return { success: false, error: `Could not load trending category "${category}"` };
+      }
+      if (!section.available) {
+        return { success: false, error: `Trending category "${category}" is not available in region ${region}` };
+      }
 
+      return {
+        success: true,
+        region,
+        category,
+        totalResults: section.results.length,
+        results: section.results
+      };
+    }
+
+    const available = await getTrendingSections(region, Object.keys(TRENDING_CATEGORIES));
+    const sections = {};
     const results = [];
     const seenIds = new Set();
 
-    const sections = [trending.videos, trending.now, trending.music, trending.gaming, trending.movies];
+    for (const name of Object.keys(TRENDING_CATEGORIES)) {
+      const section = available[name];
+      if (!section?.available) continue;
 
-    for (const section of sections) {
-      if (!section) continue;
-      for (const item of section) {
-        if (item.id && !seenIds.has(item.id)) {
-          const formatted = formatVideo(item);
-          if (formatted) {
-            seenIds.add(item.id);
-            results.push(formatted);
-          }
+      sections[name] = section.results;
+      for (const video of section.results) {
+        if (!seenIds.has(video.id)) {
+          seenIds.add(video.id);
+          results.push(video);
         }
       }
     }
 
-    return { success: true, totalResults: results.length, results };
+    return { success: true, region, category: null, totalResults: results.length, sections, results };
   } catch (e) {
     return { success: false, error: e.message };
   }
@@ -1506,8 +2479,7 @@ async function getVideoTags(videoId) {
   if (cached) return cached;
 
   try {
-    const yt = await getYouTube();
-    const info = await yt.getInfo(videoId);
+    const info = await executeWithInstance(yt => yt.getInfo(videoId), { consumer: 'video-info' });
 
     const result = {
       tags: cleanTags(safeGet(info, 'basic_info.tags') || []),
@@ -1586,14 +2558,23 @@ function clearCommentCache(videoId = null) {
 }
 
 function getSystemStatus() {
+  const pool = getPoolStats();
+
   return {
-    youtube: { ready: !!youtubeInstance },
-    instanceAge: youtubeInstance ? Date.now() - instanceCreatedAt : 0,
+    youtube: { ready: pool.pool.totalInstances > 0 },
+    pool,
     activeFetches: activeFetches.size,
     caches: {
       search: searchCache.size(),
       video: videoCache.size(),
-      comment: commentCache.size()
+      comment: commentCache.size(),
+      trending: trendingCache.size()
+    },
+    cacheLimits: {
+      search: searchCache.getStats(),
+      video: videoCache.getStats(),
+      comment: commentCache.getStats(),
+      trending: trendingCache.getStats()
     }
   };
 }
@@ -1606,10 +2587,20 @@ export {
   searchPlaylists,
   getSearchSuggestions,
   getTrending,
+  TRENDING_CATEGORIES,
   getVideoInfo,
   getVideoTags,
   batchGetVideoTags,
   getVideoComments,
+  getCommentReplies,
+  searchVideoComments,
+  getCommentStats,
+  getCaptionTracks,
+  getCaptionCues,
+  getCaptionsVtt,
+  getTranscript,
+  transcriptToSrt,
+  transcriptToText,
   findRelatedByTags,
   searchByTag,
   getSearchCacheStatus,
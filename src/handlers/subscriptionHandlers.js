@@ -0,0 +1,123 @@
+import { executeWithInstance } from '../utils/youtubePool.js';
+import { resolveChannelId } from './channelallvideosHandlers.js';
+import { parseSubscriptionList } from '../utils/subscriptionFormats.js';
+
+// ==================== CONFIGURATION ====================
+const CONFIG = {
+  MAX_ENTRIES: 1000,
+  MAX_LOOKUPS: 1000,               // Handles/URLs resolved over the network (plain IDs are free)
+  RESOLVE_CONCURRENCY: 4,
+};
+
+const CHANNEL_ID_PATTERN = /^UC[\w-]{22}$/;
+
+// ==================== HELPERS ====================
+
+// Handles and channel URLs go through resolveChannelId; its answer still has to
+// look like a channel ID (legacy URLs it can't resolve come back as null)
+async function resolveIdentifier(identifier) {
+  if (CHANNEL_ID_PATTERN.test(identifier)) return identifier;
+
+  const channelId = await executeWithInstance(
+    youtube => resolveChannelId(youtube, identifier),
+    { consumer: 'subscription-import' }
+  );
+  return CHANNEL_ID_PATTERN.test(channelId || '') ? channelId : null;
+}
+
+// ==================== IMPORT ====================
+
+// Parse an exported subscription list and normalize every entry to a channel ID.
+// Returns { success, format, total, resolved, duplicates, channels, unresolved }
+// where unresolved lists { entry, name, source, reason } for the report.
+// Identifiers past maxLookups distinct network lookups are reported, not resolved.
+async function importSubscriptionList(text, { format = 'auto', maxLookups = CONFIG.MAX_LOOKUPS } = {}) {
+  let parsed;
+  try {
+    parsed = parseSubscriptionList(text, format);
+  } catch (e) {
+    return { success: false, status: 400, error: `Could not read the subscription list: ${e.message}` };
+  }
+
+  const { entries } = parsed;
+  if (entries.length === 0) {
+    return { success: false, status: 400, error: `No channels found in the ${parsed.format} file` };
+  }
+  if (entries.length > CONFIG.MAX_ENTRIES) {
+    return { success: false, status: 400, error: `At most ${CONFIG.MAX_ENTRIES} channels can be imported at once` };
+  }
+
+  console.log(`📥 Importing ${entries.length} subscriptions (${parsed.format})`);
+
+  // Same identifier twice in a file resolves once
+  const lookups = new Map();
+  const results = new Array(entries.length);
+  let networkLookups = 0;
+  let next = 0;
+
+  const worker = async () => {
+    while (next < entries.length) {
+      const index = next++;
+      const { identifier } = entries[index];
+
+      if (!identifier) {
+        results[index] = { reason: 'No channel ID, handle or channel URL' };
+        continue;
+      }
+
+      if (!lookups.has(identifier)) {
+        const needsLookup = !CHANNEL_ID_PATTERN.test(identifier);
+        if (needsLookup && networkLookups >= maxLookups) {
+          results[index] = { reason: `Only ${maxLookups} handles or channel URLs are looked up per import` };
+          continue;
+        }
+        if (needsLookup) networkLookups++;
+        lookups.set(identifier, resolveIdentifier(identifier));
+      }
+      try {
+        const channelId = await lookups.get(identifier);
+        results[index] = channelId ? { channelId } : { reason: 'Channel not found' };
+      } catch (e) {
+        results[index] = { reason: e.message };
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(CONFIG.RESOLVE_CONCURRENCY, entries.length) }, worker));
+
+  const channels = [];
+  const unresolved = [];
+  const seenIds = new Set();
+  let duplicates = 0;
+
+  entries.forEach((entry, index) => {
+    const { channelId, reason } = results[index];
+
+    if (!channelId) {
+      unresolved.push({ entry: index + 1, name: entry.name, source: entry.source, reason });
+    } else if (seenIds.has(channelId)) {
+      duplicates++;
+    } else {
+      seenIds.add(channelId);
+      channels.push({
+        channelId,
+        name: entry.name,
+        handle: entry.identifier.startsWith('@') ? entry.identifier : null
+      });
+    }
+  });
+
+  console.log(`📥 Resolved ${channels.length}/${entries.length} subscriptions (${unresolved.length} unresolved)`);
+
+  return {
+    success: true,
+    format: parsed.format,
+    total: entries.length,
+    resolved: channels.length,
+    duplicates,
+    channels,
+    unresolved
+  };
+}
+
+export { importSubscriptionList };
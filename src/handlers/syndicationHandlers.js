@@ -0,0 +1,175 @@
+import { getChannelVideos } from './channelallvideosHandlers.js';
+import { getPlaylist } from './channelHandlers.js';
+import { search } from './searchHandlers.js';
+import { estimatePublishedAt } from '../utils/feedFormats.js';
+
+// ==================== CONFIGURATION ====================
+const CONFIG = {
+  DEFAULT_ITEMS: 30,
+  MAX_ITEMS: 200,
+};
+
+// ==================== HELPERS ====================
+
+// "1:02:03" / "4:05" -> seconds (0 for "N/A", "LIVE", ...)
+function durationSeconds(text) {
+  if (!/^\d+(:\d{2}){1,2}$/.test(text || '')) return 0;
+  return text.split(':').reduce((total, part) => total * 60 + parseInt(part), 0);
+}
+
+const known = value => (value && value !== 'N/A' ? value : null);
+
+function watchUrl(origin, videoId, playlistId = null) {
+  return playlistId
+    ? `${origin}/watch?v=${videoId}&list=${playlistId}`
+    : `${origin}/watch?v=${videoId}`;
+}
+
+function newestDate(items, fallback) {
+  const dates = items.map(item => item.published).filter(Boolean);
+  return dates.length > 0 ? Math.max(...dates) : fallback;
+}
+
+// Resolve ?start&end into a range; feeds default to the newest DEFAULT_ITEMS
+function feedRange(start, end) {
+  const from = start ?? 1;
+  const to = end ?? from + CONFIG.DEFAULT_ITEMS - 1;
+
+  if (to - from + 1 > CONFIG.MAX_ITEMS) {
+    return { error: `A feed can contain at most ${CONFIG.MAX_ITEMS} items` };
+  }
+  return { start: from, end: to };
+}
+
+// ==================== FEEDS ====================
+// Each returns { success, feed } (see utils/feedFormats.js for the feed model)
+// built from what the JSON endpoints already return.
+
+async function getChannelFeed(identifier, { origin, feedUrl, start = null, end = null }) {
+  const range = feedRange(start, end);
+  if (range.error) return { success: false, status: 400, error: range.error };
+
+  const result = await getChannelVideos(identifier, range.start, range.end);
+  if (!result.success) return { ...result, status: 404 };
+
+  // Relative upload times are relative to when the list was fetched, not to now
+  const fetchedAt = result.lastUpdate || Date.now();
+
+  const { channel } = result;
+  const items = result.videos.map(video => ({
+    id: video.id,
+    title: video.title,
+    url: watchUrl(origin, video.id),
+    youtubeUrl: `https://www.youtube.com/watch?v=${video.id}`,
+    summary: video.description || '',
+    image: video.thumbnail,
+    published: estimatePublishedAt(video.published, fetchedAt),
+    author: channel.name,
+    duration: durationSeconds(video.duration)
+  }));
+
+  return {
+    success: true,
+    feed: {
+      id: feedUrl,
+      title: channel.name,
+      description: `Latest uploads from ${channel.name}`,
+      homePageUrl: `${origin}/${channel.id}`,
+      feedUrl,
+      image: channel.thumbnail || null,
+      author: channel.name,
+      updated: newestDate(items, fetchedAt),
+      fetchedAt,
+      items
+    }
+  };
+}
+
+async function getPlaylistFeed(playlistId, { origin, feedUrl, start = null, end = null }) {
+  const range = feedRange(start, end);
+  if (range.error) return { success: false, status: 400, error: range.error };
+
+  const playlist = await getPlaylist(playlistId, range.start, range.end);
+  if (!playlist.success) return { ...playlist, status: 404 };
+
+  // Relative upload times are relative to when the list was fetched, not to now
+  const fetchedAt = playlist.fetchedAt || Date.now();
+
+  // Private/deleted entries have nothing to link to
+  const videos = playlist.videos.filter(video => video.availability === 'public');
+
+  const items = videos.map(video => ({
+    id: video.id,
+    title: video.title,
+    url: watchUrl(origin, video.id, playlistId),
+    youtubeUrl: `https://www.youtube.com/watch?v=${video.id}&list=${playlistId}`,
+    summary: '',
+    image: video.img,
+    published: estimatePublishedAt(video.uploaded, fetchedAt),
+    author: known(video.author),
+    duration: video.durationSeconds || 0
+  }));
+
+  return {
+    success: true,
+    feed: {
+      id: feedUrl,
+      title: playlist.title,
+      description: playlist.description || `Videos in ${playlist.title}`,
+      homePageUrl: videos.length > 0
+        ? watchUrl(origin, videos[0].id, playlistId)
+        : `https://www.youtube.com/playlist?list=${playlistId}`,
+      feedUrl,
+      image: playlist.thumbnail || null,
+      author: known(playlist.author),
+      updated: newestDate(items, fetchedAt),
+      fetchedAt,
+      items
+    }
+  };
+}
+
+// A saved search is just its query string: the feed re-runs it (newest uploads
+// first unless another sort is given) and lists the video results
+async function getSearchFeed(query, { origin, feedUrl, sort = 'date', duration = null, uploadDate = null, start = null, end = null }) {
+  const range = feedRange(start, end);
+  if (range.error) return { success: false, status: 400, error: range.error };
+
+  const result = await search(query, { type: 'video', sort, duration, uploadDate, start: range.start, end: range.end });
+  if (!result.success) return { ...result, status: 500 };
+
+  // Relative upload times are relative to when the list was fetched, not to now
+  const fetchedAt = result.fetchedAt || Date.now();
+
+  const items = result.results
+    .filter(video => video.type === 'video')
+    .map(video => ({
+      id: video.id,
+      title: video.title,
+      url: watchUrl(origin, video.id),
+      youtubeUrl: video.url,
+      summary: video.description || '',
+      image: video.thumbnail,
+      published: estimatePublishedAt(video.published, fetchedAt),
+      author: known(video.channel?.name),
+      duration: durationSeconds(video.duration)
+    }));
+
+  return {
+    success: true,
+    feed: {
+      id: feedUrl,
+      title: `Search: ${query}`,
+      description: `YouTube videos matching "${query}"`,
+      homePageUrl: `${origin}/search?q=${encodeURIComponent(query)}`,
+      feedUrl,
+      image: null,
+      author: null,
+      updated: newestDate(items, fetchedAt),
+      fetchedAt,
+      items
+    }
+  };
+}
+
+export { getChannelFeed, getPlaylistFeed, getSearchFeed };
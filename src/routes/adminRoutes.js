@@ -0,0 +1,119 @@
+import express from 'express';
+import crypto from 'crypto';
+import {
+  getAdminStatus,
+  getChannelCacheStatus,
+  warmup,
+  prefetch,
+  clearCaches,
+  getPrometheusMetrics
+} from '../handlers/adminHandlers.js';
+import { getPoolStats } from '../handlers/channelHandlers.js';
+
+const router = express.Router();
+
+const CACHE_SCOPES = ['playlists', 'videos', 'search', 'comments', 'all'];
+
+// Guard: the admin API is off unless ADMIN_TOKEN is set, and then requires it as
+// a Bearer token (never a query parameter - those end up in logs and Referers)
+function tokenMatches(provided, expected) {
+  const a = crypto.createHash('sha256').update(provided).digest();
+  const b = crypto.createHash('sha256').update(expected).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+router.use((req, res, next) => {
+  const expected = process.env.ADMIN_TOKEN;
+  if (!expected) {
+    return res.status(403).json({ success: false, error: 'Admin API disabled: ADMIN_TOKEN is not set' });
+  }
+
+  const header = req.headers.authorization || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+
+  if (!provided || !tokenMatches(provided, expected)) {
+    return res.status(401).json({ success: false, error: 'Unauthorized' });
+  }
+  next();
+});
+
+/**
+ * Admin API (Authorization: Bearer <ADMIN_TOKEN>)
+ *
+ * GET    /api/admin/status                      - pool, caches, background fetches, hit rates
+ * GET    /api/admin/pool                        - shared Innertube pool stats
+ * POST   /api/admin/pool/warmup                 - initialize the pool now
+ * GET    /api/admin/channels/:channelId/cache   - channel video cache state
+ * POST   /api/admin/channels/:identifier/prefetch - start a background video fetch
+ * DELETE /api/admin/cache/:scope?key=           - scope: playlists|videos|search|comments|all
+ * GET    /api/admin/metrics                     - Prometheus text format
+ */
+
+router.get('/status', (req, res) => {
+  try {
+    res.json(getAdminStatus());
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/pool', (req, res) => {
+  try {
+    res.json({ success: true, ...getPoolStats() });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/pool/warmup', async (req, res) => {
+  try {
+    res.json(await warmup());
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/channels/:channelId/cache', (req, res) => {
+  try {
+    res.json(getChannelCacheStatus(req.params.channelId));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/channels/:identifier/prefetch', async (req, res) => {
+  try {
+    const result = await prefetch(req.params.identifier);
+    res.status(result.success ? 202 : 404).json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/cache/:scope', (req, res) => {
+  try {
+    const { scope } = req.params;
+
+    if (!CACHE_SCOPES.includes(scope)) {
+      return res.status(400).json({
+        success: false,
+        error: `scope must be one of: ${CACHE_SCOPES.join(', ')}`
+      });
+    }
+
+    res.json(clearCaches(scope, req.query.key || null));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/metrics', (req, res) => {
+  try {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(getPrometheusMetrics());
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,71 @@
+import express from 'express';
+import { register, login, logout } from '../handlers/accountHandlers.js';
+import { rateLimit } from '../utils/rateLimit.js';
+
+const router = express.Router();
+
+router.use(express.json({ limit: '16kb' }));
+
+// Per-IP throttles: account creation and password guessing (scrypt runs on every login)
+const registerLimit = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 5,
+  message: 'Too many accounts created from this address, try again later'
+});
+const loginLimit = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: 'Too many sign-in attempts, try again later'
+});
+
+/**
+ * Accounts API
+ *
+ * POST /api/auth/register   { username, password? }  - password-less accounts are token-only
+ * POST /api/auth/login      { username, password }
+ * POST /api/auth/logout     Authorization: Bearer <token>
+ *
+ * register is limited to 5 per hour and login to 10 per 15 minutes per IP (429).
+ *
+ * register/login return { success, user, token }; send the token as a Bearer
+ * header to /api/me/*.
+ */
+
+const bearerToken = req => {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : null;
+};
+
+// Handler failures carry the HTTP status; keep it out of the body
+function send(res, result, okStatus = 200) {
+  const { status, ...body } = result;
+  res.status(result.success ? okStatus : status || 400).json(body);
+}
+
+router.post('/register', registerLimit, async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    send(res, await register({ username, password }), 201);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/login', loginLimit, async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    send(res, await login({ username, password }));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/logout', (req, res) => {
+  try {
+    res.json(logout(bearerToken(req)));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
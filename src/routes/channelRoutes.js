@@ -1,9 +1,46 @@
 import epxress from 'express';
-import { getChannelWithPlaylists, getPlaylist, getChannelHomePage } from '../handlers/channelHandlers.js';
+import {
+  getChannelWithPlaylists,
+  getPlaylist,
+  getChannelHomePage,
+  getChannelShorts,
+  getChannelCommunity
+} from '../handlers/channelHandlers.js';
 import { getChannelVideos } from '../handlers/channelallvideosHandlers.js';
+import { getChannelFeed, getPlaylistFeed } from '../handlers/syndicationHandlers.js';
+import { FEED_FORMATS, siteOrigin, sendFeed } from '../utils/feedFormats.js';
 
 const router = epxress.Router();
 
+// Parse and validate optional start/end query params.
+// Returns { start, end } (both null when not provided) or { error }.
+function parseRange(query) {
+  const { start, end } = query;
+
+  let startNum = null;
+  let endNum = null;
+
+  if (start && end) {
+    startNum = parseInt(start);
+    endNum = parseInt(end);
+
+    // Validation
+    if (isNaN(startNum) || isNaN(endNum)) {
+      return { error: 'start and end must be valid numbers' };
+    }
+
+    if (startNum < 1) {
+      return { error: 'start must be at least 1' };
+    }
+
+    if (startNum > endNum) {
+      return { error: 'start must be less than or equal to end' };
+    }
+  }
+
+  return { start: startNum, end: endNum };
+}
+
 router.get('/:identifier', async (req, res) => {
   const identifier = req.params.identifier;
   const info = await getChannelWithPlaylists(identifier);
@@ -16,49 +53,121 @@ router.get('/home/:identifier', async (req, res) => {
   res.json(info);
 });
 
+// Feeds of the same data as /videos/:identifier and /playlist/:id
+// GET /videos/:identifier.rss|.atom|.json?start=1&end=30   (RSS 2.0, Atom 1.0, JSON Feed 1.1)
+// GET /playlist/:id.rss|.atom|.json?start=1&end=30
+// Registered first so "/videos/:identifier" doesn't take "name.rss" as the identifier.
+for (const format of Object.keys(FEED_FORMATS)) {
+  router.get(`/videos/:identifier.${format}`, async (req, res) => {
+    try {
+      const range = parseRange(req.query);
+      if (range.error) {
+        return res.status(400).json({ success: false, error: range.error });
+      }
+
+      const origin = siteOrigin(req);
+      const result = await getChannelFeed(req.params.identifier, {
+        origin,
+        feedUrl: `${origin}${req.originalUrl}`,
+        ...range
+      });
+
+      if (!result.success) {
+        return res.status(result.status || 500).json({ success: false, error: result.error });
+      }
+
+      sendFeed(req, res, result.feed, format);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.get(`/playlist/:id.${format}`, async (req, res) => {
+    try {
+      const range = parseRange(req.query);
+      if (range.error) {
+        return res.status(400).json({ success: false, error: range.error });
+      }
+
+      const origin = siteOrigin(req);
+      const result = await getPlaylistFeed(req.params.id, {
+        origin,
+        feedUrl: `${origin}${req.originalUrl}`,
+        ...range
+      });
+
+      if (!result.success) {
+        return res.status(result.status || 500).json({ success: false, error: result.error });
+      }
+
+      sendFeed(req, res, result.feed, format);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+}
+
 router.get('/playlist/:id', async (req, res) => {
-  const id = req.params.id;
-  const playlist = await getPlaylist(id);
-  res.json(playlist);
+  try {
+    const { id } = req.params;
+    const range = parseRange(req.query);
+
+    if (range.error) {
+      return res.status(400).json({ success: false, error: range.error });
+    }
+
+    const playlist = await getPlaylist(id, range.start, range.end);
+    res.json(playlist);
+
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
 });
 
 router.get('/videos/:identifier', async (req, res) => {
   try {
     const { identifier } = req.params;
-    const { start, end } = req.query;
-
-    // Parse start/end if both are provided
-    let startNum = null;
-    let endNum = null;
-
-    if (start && end) {
-      startNum = parseInt(start);
-      endNum = parseInt(end);
-
-      // Validation
-      if (isNaN(startNum) || isNaN(endNum)) {
-        return res.status(400).json({ 
-          success: false, 
-          error: 'start and end must be valid numbers' 
-        });
-      }
+    const range = parseRange(req.query);
 
-      if (startNum < 1) {
-        return res.status(400).json({ 
-          success: false, 
-          error: 'start must be at least 1' 
-        });
-      }
+    if (range.error) {
+      return res.status(400).json({ success: false, error: range.error });
+    }
 
-      if (startNum > endNum) {
-        return res.status(400).json({ 
-          success: false, 
-          error: 'start must be less than or equal to end' 
-        });
-      }
+    const info = await getChannelVideos(identifier, range.start, range.end);
+    res.json(info);
+
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/shorts/:identifier', async (req, res) => {
+  try {
+    const { identifier } = req.params;
+    const range = parseRange(req.query);
+
+    if (range.error) {
+      return res.status(400).json({ success: false, error: range.error });
+    }
+
+    const info = await getChannelShorts(identifier, range.start, range.end);
+    res.json(info);
+
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/community/:identifier', async (req, res) => {
+  try {
+    const { identifier } = req.params;
+    const range = parseRange(req.query);
+
+    if (range.error) {
+      return res.status(400).json({ success: false, error: range.error });
     }
 
-    const info = await getChannelVideos(identifier, startNum, endNum);
+    const info = await getChannelCommunity(identifier, range.start, range.end);
     res.json(info);
 
   } catch (error) {
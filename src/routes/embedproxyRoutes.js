@@ -1,10 +1,42 @@
 import express from 'express';
-import { fetchVideoInfo } from '../handlers/embedproxyHandlers.js';
+import https from 'https';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { AUDIO_CODECS, fetchVideoInfo, invalidateVideoInfo, resolveFormat, getBestAudioFormat, getStoryboard } from '../handlers/embedproxyHandlers.js';
+import { getDashManifest, getHlsMasterPlaylist, getHlsMediaPlaylist } from '../handlers/manifestHandlers.js';
+import { prepareMuxedStream } from '../handlers/muxHandlers.js';
 
 const router = express.Router();
 
-const videoCache = new Map();
-const CACHE_DURATION = 3 * 60 * 1000;
+const PROXY_HEADERS = {
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+  'Accept': '*/*',
+  'Accept-Encoding': 'identity',
+  'Connection': 'keep-alive',
+  'Referer': 'https://www.youtube.com/',
+  'Origin': 'https://www.youtube.com'
+};
+
+// Open a request to googlevideo; resolves once response headers arrive
+function openUpstream(targetUrl, range) {
+  return new Promise((resolve, reject) => {
+    const urlObj = new URL(targetUrl);
+    const headers = { ...PROXY_HEADERS };
+    if (range) headers['Range'] = range;
+
+    const proxyReq = https.request({
+      hostname: urlObj.hostname,
+      port: 443,
+      path: urlObj.pathname + urlObj.search,
+      method: 'GET',
+      headers
+    }, (proxyRes) => resolve({ proxyReq, proxyRes }));
+
+    proxyReq.on('error', reject);
+    proxyReq.end();
+  });
+}
+
 // API info endpoint
 router.get('/info/:videoId', async (req, res) => {
   try {
@@ -31,15 +63,185 @@ router.get('/url/:videoId/:formatId', async (req, res) => {
   }
 });
 
+// Audio-only endpoint - best audio-only format for listening mode
+// GET /audio/:videoId?codec=opus|m4a
+// streamUrl goes through /stream so expired URLs are refreshed mid-queue
+router.get('/audio/:videoId', async (req, res) => {
+  const { videoId } = req.params;
+  const codec = req.query.codec || null;
+
+  if (codec && !Object.hasOwn(AUDIO_CODECS, codec)) {
+    return res.status(400).json({
+      success: false,
+      error: `codec must be one of: ${Object.keys(AUDIO_CODECS).join(', ')}`
+    });
+  }
+
+  try {
+    const result = await getBestAudioFormat(videoId, { codec });
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.json({
+      ...result,
+      streamUrl: `${req.baseUrl}/stream/${videoId}/${result.format.format_id}`
+    });
+  } catch (err) {
+    console.error('[AUDIO] Error:', err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Storyboard endpoint - sprite sheets for seek-bar hover thumbnails
+// GET /storyboard/:videoId
+router.get('/storyboard/:videoId', async (req, res) => {
+  try {
+    const result = await getStoryboard(req.params.videoId);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.json(result);
+  } catch (err) {
+    console.error('[STORYBOARD] Error:', err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Adaptive manifests - every segment URL points back through /stream/:videoId/:formatId
+// GET /manifest/:videoId.mpd                 - DASH (MP4 + WebM adaptive formats)
+// GET /manifest/:videoId.m3u8                - HLS master playlist (fMP4 only)
+// GET /manifest/:videoId/:formatId.m3u8      - HLS media playlist built from the format's sidx
+router.get('/manifest/:videoId.mpd', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const result = await getDashManifest(videoId, `${req.baseUrl}/stream/${videoId}`);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.setHeader('Content-Type', 'application/dash+xml');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.send(result.manifest);
+  } catch (err) {
+    console.error('[MANIFEST] Error:', err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.get('/manifest/:videoId.m3u8', async (req, res) => {
+  try {
+    const { videoId } = req.params;
+    const result = await getHlsMasterPlaylist(videoId, `${req.baseUrl}/manifest/${videoId}`);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.send(result.playlist);
+  } catch (err) {
+    console.error('[MANIFEST] Error:', err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+router.get('/manifest/:videoId/:formatId.m3u8', async (req, res) => {
+  try {
+    const { videoId, formatId } = req.params;
+    const result = await getHlsMediaPlaylist(videoId, formatId, `${req.baseUrl}/stream/${videoId}`);
+
+    if (!result.success) {
+      return res.status(404).json(result);
+    }
+
+    res.setHeader('Content-Type', 'application/vnd.apple.mpegurl');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.send(result.playlist);
+  } catch (err) {
+    console.error('[MANIFEST] Error:', err.message);
+    res.status(500).json({ success: false, error: err.message });
+  }
+});
+
+// Muxed endpoint - best video-only + audio-only MP4 formats combined into one
+// fragmented MP4 on the fly, for clients that only handle a single <video src>.
+// GET /muxed/:videoId?height=1080&start=0   (start: seconds, for seeking)
+// The stream always starts at time zero; X-Start-Offset is the video time it maps to.
+router.get('/muxed/:videoId', async (req, res) => {
+  const { videoId } = req.params;
+  const height = req.query.height ? parseInt(req.query.height) : 1080;
+  const start = req.query.start ? parseFloat(req.query.start) : 0;
+
+  if (isNaN(height) || height < 144) {
+    return res.status(400).json({ success: false, error: 'height must be a number of at least 144' });
+  }
+  if (isNaN(start) || start < 0) {
+    return res.status(400).json({ success: false, error: 'start must be a non-negative number of seconds' });
+  }
+
+  try {
+    const mux = await prepareMuxedStream(videoId, { height, start });
+
+    if (!mux.success) {
+      return res.status(404).json(mux);
+    }
+
+    res.setHeader('Content-Type', 'video/mp4');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('X-Video-Format', mux.video.format_id);
+    res.setHeader('X-Audio-Format', mux.audio.format_id);
+    res.setHeader('X-Start-Offset', String(mux.startOffset));
+    res.setHeader('Access-Control-Expose-Headers', 'X-Video-Format, X-Audio-Format, X-Start-Offset');
+
+    // pipeline handles backpressure and, if the client goes away, destroys the
+    // source so the generator and its upstream range fetches stop too
+    try {
+      await pipeline(Readable.from(mux.chunks), res);
+      console.log('[MUX] Transfer complete');
+    } catch (err) {
+      if (err.code !== 'ERR_STREAM_PREMATURE_CLOSE') throw err;
+      console.log('[MUX] Client closed connection');
+    }
+
+  } catch (err) {
+    console.error('[MUX] Error:', err.message);
+    if (!res.headersSent) {
+      res.status(500).json({ success: false, error: err.message });
+    } else {
+      res.destroy();
+    }
+  }
+});
+
 // Stream proxy endpoint
+// googlevideo URLs expire; on a 403 the format is re-resolved and the request
+// retried once before the error reaches the player.
 router.get('/stream/:videoId/:formatId', async (req, res) => {
   const { videoId, formatId } = req.params;
 
   console.log('\n[STREAM] ===== Request:', videoId, formatId, '=====');
 
+  let upstream = null;
+  let clientClosed = false;
+
+  res.on('close', () => {
+    if (res.writableFinished) return;
+    clientClosed = true;
+    if (upstream) {
+      console.log('[STREAM] Client closed connection');
+      upstream.proxyReq.destroy();
+    }
+  });
+
   try {
-    const info = await fetchVideoInfo(videoId);
-    const format = info.formats.find(f => f.format_id === formatId);
+    let format = await resolveFormat(videoId, formatId);
 
     if (!format) {
       console.log('[STREAM] Format not found');
@@ -51,88 +253,71 @@ router.get('/stream/:videoId/:formatId', async (req, res) => {
       return res.status(404).send('No URL available');
     }
 
-    const targetUrl = format.directUrl;
-    console.log('[STREAM] Target URL length:', targetUrl.length);
-    console.log('[STREAM] Target host:', new URL(targetUrl).hostname);
-
-    const urlObj = new URL(targetUrl);
-
-    const proxyHeaders = {
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
-      'Accept': '*/*',
-      'Accept-Encoding': 'identity',
-      'Connection': 'keep-alive',
-      'Referer': 'https://www.youtube.com/',
-      'Origin': 'https://www.youtube.com'
-    };
-
-    // Forward range header
     if (req.headers.range) {
-      proxyHeaders['Range'] = req.headers.range;
       console.log('[STREAM] Range:', req.headers.range);
     }
 
-    console.log('[STREAM] Making request to YouTube...');
+    console.log('[STREAM] Target host:', new URL(format.directUrl).hostname);
+    upstream = await openUpstream(format.directUrl, req.headers.range);
 
-    const proxyReq = https.request({
-      hostname: urlObj.hostname,
-      port: 443,
-      path: urlObj.pathname + urlObj.search,
-      method: 'GET',
-      headers: proxyHeaders
-    }, (proxyRes) => {
-      console.log('[STREAM] Response:', proxyRes.statusCode);
-      console.log('[STREAM] Content-Type:', proxyRes.headers['content-type']);
-      console.log('[STREAM] Content-Length:', proxyRes.headers['content-length']);
-
-      if (proxyRes.statusCode === 403) {
-        console.log('[STREAM] 403 - URL expired, clearing cache');
-        videoCache.delete(videoId);
-        res.status(403).send('URL expired - please reload');
-        return;
-      }
+    if (upstream.proxyRes.statusCode === 403 && !clientClosed) {
+      console.log('[STREAM] 403 - URL expired, re-resolving format');
+      upstream.proxyRes.resume();
 
-      if (proxyRes.statusCode >= 400) {
-        console.log('[STREAM] Error status:', proxyRes.statusCode);
-        res.status(proxyRes.statusCode).send('YouTube error: ' + proxyRes.statusCode);
-        return;
+      format = await resolveFormat(videoId, formatId, { refresh: true });
+      if (format?.directUrl && !clientClosed) {
+        upstream = await openUpstream(format.directUrl, req.headers.range);
       }
+    }
 
-      // response headers
-      res.setHeader('Content-Type', proxyRes.headers['content-type'] || 'video/mp4');
-      res.setHeader('Accept-Ranges', 'bytes');
-      res.setHeader('Access-Control-Allow-Origin', '*');
+    if (clientClosed) {
+      upstream.proxyReq.destroy();
+      return;
+    }
 
-      if (proxyRes.headers['content-length']) {
-        res.setHeader('Content-Length', proxyRes.headers['content-length']);
-      }
-      if (proxyRes.headers['content-range']) {
-        res.setHeader('Content-Range', proxyRes.headers['content-range']);
-      }
+    const { proxyRes } = upstream;
+    console.log('[STREAM] Response:', proxyRes.statusCode);
+    console.log('[STREAM] Content-Type:', proxyRes.headers['content-type']);
+    console.log('[STREAM] Content-Length:', proxyRes.headers['content-length']);
 
-      res.status(proxyRes.statusCode);
+    if (proxyRes.statusCode === 403) {
+      console.log('[STREAM] 403 after refresh, giving up');
+      proxyRes.resume();
+      invalidateVideoInfo(videoId);
+      return res.status(403).send('URL expired - please reload');
+    }
 
-      // Pipe the response
-      proxyRes.pipe(res);
+    if (proxyRes.statusCode >= 400) {
+      console.log('[STREAM] Error status:', proxyRes.statusCode);
+      proxyRes.resume();
+      return res.status(proxyRes.statusCode).send('YouTube error: ' + proxyRes.statusCode);
+    }
 
-      proxyRes.on('end', () => {
-        console.log('[STREAM] Transfer complete');
-      });
-    });
+    // response headers
+    res.setHeader('Content-Type', proxyRes.headers['content-type'] || 'video/mp4');
+    res.setHeader('Accept-Ranges', 'bytes');
+    res.setHeader('Access-Control-Allow-Origin', '*');
 
-    proxyReq.on('error', (err) => {
-      console.error('[STREAM] Request error:', err.message);
-      if (!res.headersSent) {
-        res.status(500).send('Stream error: ' + err.message);
-      }
-    });
+    if (proxyRes.headers['content-length']) {
+      res.setHeader('Content-Length', proxyRes.headers['content-length']);
+    }
+    if (proxyRes.headers['content-range']) {
+      res.setHeader('Content-Range', proxyRes.headers['content-range']);
+    }
 
-    req.on('close', () => {
-      console.log('[STREAM] Client closed connection');
-      proxyReq.destroy();
+    res.status(proxyRes.statusCode);
+
+    // Pipe the response
+    proxyRes.pipe(res);
+
+    proxyRes.on('end', () => {
+      console.log('[STREAM] Transfer complete');
     });
 
-    proxyReq.end();
+    upstream.proxyReq.on('error', (err) => {
+      console.error('[STREAM] Request error:', err.message);
+      res.destroy();
+    });
 
   } catch (err) {
     console.error('[STREAM] Error:', err.message);
@@ -157,15 +342,4 @@ router.get('/redirect/:videoId/:formatId', async (req, res) => {
   }
 });
 
-// Cache cleanup
-setInterval(() => {
-  const now = Date.now();
-  for (const [key, value] of videoCache.entries()) {
-    if (now - value.timestamp > CACHE_DURATION) {
-      videoCache.delete(key);
-      console.log('[CACHE] Expired:', key);
-    }
-  }
-}, 30000);
-
 export default router;
@@ -0,0 +1,62 @@
+import express from 'express';
+import { FEED_TYPES, getSubscriptionFeed } from '../handlers/feedHandlers.js';
+import { authenticate } from '../handlers/accountHandlers.js';
+import { createRateLimiter } from '../utils/rateLimit.js';
+
+const router = express.Router();
+
+// Signed-out requests can name any channels, each of which may cost YouTube
+// requests: they're throttled per IP (the page polls while channels load)
+const anonymousFeeds = createRateLimiter({ windowMs: 10 * 60 * 1000, max: 60 });
+
+/**
+ * Feed API
+ *
+ * GET /api/feed/subscriptions?start=1&end=30&type=all|videos|shorts|live
+ *     Signed in (Authorization: Bearer <token>): the account's subscriptions.
+ *     Signed out: the channel IDs to merge, &channels=UC...,UC... (first 50 used;
+ *     60 requests per 10 minutes per IP, 429 beyond that)
+ */
+
+router.get('/subscriptions', async (req, res) => {
+  try {
+    const start = req.query.start ? parseInt(req.query.start) : 1;
+    const end = req.query.end ? parseInt(req.query.end) : 30;
+    const type = req.query.type || 'all';
+
+    if (isNaN(start) || isNaN(end) || start < 1 || end < start) {
+      return res.status(400).json({ success: false, error: 'start must be at least 1 and end must not be less than start' });
+    }
+    if (!Object.hasOwn(FEED_TYPES, type)) {
+      return res.status(400).json({ success: false, error: `type must be one of: ${Object.keys(FEED_TYPES).join(', ')}` });
+    }
+
+    let channelIds;
+    let anonymous = true;
+    const header = req.headers.authorization || '';
+
+    if (header.startsWith('Bearer ')) {
+      const user = authenticate(header.slice(7).trim());
+      if (!user) {
+        return res.status(401).json({ success: false, error: 'Sign in required' });
+      }
+      channelIds = (user.subscriptions || []).map(sub => sub.channelId);
+      anonymous = false;
+    } else if (req.query.channels) {
+      const retryAfter = anonymousFeeds.hit(req.ip);
+      if (retryAfter > 0) {
+        res.setHeader('Retry-After', String(retryAfter));
+        return res.status(429).json({ success: false, error: 'Too many requests, sign in or try again later' });
+      }
+      channelIds = String(req.query.channels).split(',').map(id => id.trim()).filter(Boolean);
+    } else {
+      return res.status(400).json({ success: false, error: 'channels is required when not signed in' });
+    }
+
+    res.json(await getSubscriptionFeed(channelIds, { start, end, type, anonymous }));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
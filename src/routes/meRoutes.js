@@ -0,0 +1,174 @@
+import express from 'express';
+import {
+  authenticate,
+  getProfile,
+  getHistory,
+  getHistoryItem,
+  getProgressMap,
+  recordWatch,
+  updateHistoryItem,
+  removeHistoryItem,
+  clearHistory,
+  importHistory,
+  getSubscriptions,
+  subscribe,
+  unsubscribe,
+  importSubscriptions
+} from '../handlers/accountHandlers.js';
+
+const router = express.Router();
+
+router.use(express.json({ limit: '64kb' }));
+
+// Every /api/me route needs a session token (from /api/auth/login or /register)
+router.use((req, res, next) => {
+  const header = req.headers.authorization || '';
+  const user = authenticate(header.startsWith('Bearer ') ? header.slice(7).trim() : null);
+
+  if (!user) {
+    return res.status(401).json({ success: false, error: 'Sign in required' });
+  }
+
+  req.user = user;
+  next();
+});
+
+/**
+ * Current user API (Authorization: Bearer <token>)
+ *
+ * GET    /api/me                          - profile
+ * GET    /api/me/history?start=1&end=50   - watch history, most recent first
+ * GET    /api/me/history/:videoId         - one entry (resume position)
+ * GET    /api/me/progress                 - { videoId: { progress, duration, watched, updatedAt } }
+ * POST   /api/me/history                  - record a watch { videoId, title, channelName, channelId, thumbnail, duration, progress }
+ * PATCH  /api/me/history/:videoId         - update progress/metadata without reordering
+ * DELETE /api/me/history/:videoId         - remove one entry
+ * DELETE /api/me/history                  - clear history
+ * POST   /api/me/history/import           - one-time localStorage migration { videoIds: [...] } (409 after the first)
+ *
+ * GET    /api/me/subscriptions            - subscribed channels, oldest first
+ * POST   /api/me/subscriptions            - subscribe { channelId, name, handle, thumbnail }
+ * POST   /api/me/subscriptions/import     - bulk add { channels: [channelId | { channelId, ... }] }
+ * DELETE /api/me/subscriptions/:channelId - unsubscribe
+ */
+
+// Handler failures carry the HTTP status; keep it out of the body
+function send(res, result, okStatus = 200) {
+  const { status, ...body } = result;
+  res.status(result.success ? okStatus : status || 400).json(body);
+}
+
+router.get('/', (req, res) => {
+  try {
+    res.json(getProfile(req.user));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/history', (req, res) => {
+  try {
+    const start = parseInt(req.query.start) || 1;
+    const end = parseInt(req.query.end) || 50;
+
+    if (start < 1 || end < start) {
+      return res.status(400).json({ success: false, error: 'start must be at least 1 and end must not be less than start' });
+    }
+
+    res.json(getHistory(req.user, { start, end }));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/history/:videoId', (req, res) => {
+  try {
+    send(res, getHistoryItem(req.user, req.params.videoId));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/progress', (req, res) => {
+  try {
+    res.json(getProgressMap(req.user));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/history', (req, res) => {
+  try {
+    const { videoId, ...fields } = req.body || {};
+    send(res, recordWatch(req.user, videoId, fields));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/history/import', (req, res) => {
+  try {
+    send(res, importHistory(req.user, req.body?.videoIds));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.patch('/history/:videoId', (req, res) => {
+  try {
+    send(res, updateHistoryItem(req.user, req.params.videoId, req.body || {}));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/history/:videoId', (req, res) => {
+  try {
+    send(res, removeHistoryItem(req.user, req.params.videoId));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/history', (req, res) => {
+  try {
+    res.json(clearHistory(req.user));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/subscriptions', (req, res) => {
+  try {
+    res.json(getSubscriptions(req.user));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/subscriptions', (req, res) => {
+  try {
+    const result = subscribe(req.user, req.body || {});
+    send(res, result, result.created ? 201 : 200);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/subscriptions/import', (req, res) => {
+  try {
+    send(res, importSubscriptions(req.user, req.body?.channels));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/subscriptions/:channelId', (req, res) => {
+  try {
+    send(res, unsubscribe(req.user, req.params.channelId));
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+export default router;
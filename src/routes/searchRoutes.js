@@ -7,17 +7,42 @@ import {
   searchPlaylists,
   getSearchSuggestions,
   getTrending,
+  TRENDING_CATEGORIES,
   getVideoInfo,
   getVideoTags,
   getVideoComments,
+  getCommentReplies,
+  searchVideoComments,
+  getCommentStats,
+  getCaptionTracks,
+  getCaptionsVtt,
+  getTranscript,
+  transcriptToSrt,
+  transcriptToText,
   findRelatedByTags,
   searchByTag,
   getSearchCacheStatus,
   clearSearchCache
 } from '../handlers/searchHandlers.js';
+import { getSearchFeed } from '../handlers/syndicationHandlers.js';
+import { FEED_FORMATS, siteOrigin, sendFeed } from '../utils/feedFormats.js';
 
 const router = express.Router();
 
+// ISO 3166-1 regions YouTube offers as a content location; each region gets
+// its own Innertube pool, so anything outside this list is rejected
+const YOUTUBE_REGIONS = new Set([
+  'AE', 'AR', 'AT', 'AU', 'AZ', 'BA', 'BD', 'BE', 'BG', 'BH', 'BO', 'BR', 'BY',
+  'CA', 'CH', 'CL', 'CO', 'CR', 'CY', 'CZ', 'DE', 'DK', 'DO', 'DZ', 'EC', 'EE',
+  'EG', 'ES', 'FI', 'FR', 'GB', 'GE', 'GH', 'GR', 'GT', 'HK', 'HN', 'HR', 'HU',
+  'ID', 'IE', 'IL', 'IN', 'IQ', 'IS', 'IT', 'JM', 'JO', 'JP', 'KE', 'KH', 'KR',
+  'KW', 'KZ', 'LA', 'LB', 'LI', 'LK', 'LT', 'LU', 'LV', 'LY', 'MA', 'ME', 'MK',
+  'MT', 'MX', 'MY', 'NG', 'NI', 'NL', 'NO', 'NP', 'NZ', 'OM', 'PA', 'PE', 'PG',
+  'PH', 'PK', 'PL', 'PR', 'PT', 'PY', 'QA', 'RO', 'RS', 'RU', 'SA', 'SE', 'SG',
+  'SI', 'SK', 'SN', 'SV', 'TH', 'TN', 'TR', 'TW', 'TZ', 'UA', 'UG', 'US', 'UY',
+  'VE', 'VN', 'YE', 'ZA', 'ZW'
+]);
+
 // ================== SEARCH ROUTES ==================
 
 // Main search endpoint - search all types
@@ -67,6 +92,48 @@ router.get('/', async (req, res) => {
   }
 });
 
+// Saved search feeds - the query string is the saved search
+// GET /api/search/feed.rss|.atom|.json?q=query&sort=date&duration=short&uploadDate=week&start=1&end=30
+// sort defaults to "date" so the newest uploads come first
+for (const format of Object.keys(FEED_FORMATS)) {
+  router.get(`/feed.${format}`, async (req, res) => {
+    try {
+      const { q, query, sort = 'date', duration, uploadDate, upload_date, start, end } = req.query;
+      const searchQuery = q || query;
+
+      if (!searchQuery) {
+        return res.status(400).json({ success: false, error: 'Query parameter "q" or "query" is required' });
+      }
+
+      const range = {
+        start: start ? parseInt(start) : null,
+        end: end ? parseInt(end) : null
+      };
+      if ((start && (isNaN(range.start) || range.start < 1)) || (end && (isNaN(range.end) || range.end < (range.start ?? 1)))) {
+        return res.status(400).json({ success: false, error: 'start must be at least 1 and end must not be less than start' });
+      }
+
+      const origin = siteOrigin(req);
+      const result = await getSearchFeed(searchQuery, {
+        origin,
+        feedUrl: `${origin}${req.originalUrl}`,
+        sort,
+        duration: duration || null,
+        uploadDate: uploadDate || upload_date || null,
+        ...range
+      });
+
+      if (!result.success) {
+        return res.status(result.status || 500).json({ success: false, error: result.error });
+      }
+
+      sendFeed(req, res, result.feed, format);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+}
+
 // Search videos only
 // GET /api/search/videos?q=query&sort=view_count&start=1&end=50&fetchTags=true
 router.get('/videos', async (req, res) => {
@@ -220,12 +287,29 @@ router.get('/suggestions', async (req, res) => {
 });
 
 // Get trending videos
-// GET /api/search/trending?region=US
+// GET /api/search/trending?region=US&category=music
 router.get('/trending', async (req, res) => {
   try {
-    const { region = 'US' } = req.query;
+    const { region = 'US', category } = req.query;
+
+    if (typeof region !== 'string' || !YOUTUBE_REGIONS.has(region.toUpperCase())) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'region must be a two-letter ISO country code supported by YouTube' 
+      });
+    }
 
-    const results = await getTrending({ region });
+    if (category && !Object.hasOwn(TRENDING_CATEGORIES, category)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `category must be one of: ${Object.keys(TRENDING_CATEGORIES).join(', ')}` 
+      });
+    }
+
+    const results = await getTrending({ 
+      region: region.toUpperCase(), 
+      category: category || null 
+    });
     res.json(results);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -416,8 +500,29 @@ router.get('/video/:id/tags', async (req, res) => {
   }
 });
 
+const isTrue = value => value === 'true' || value === '1';
+
+// Only filters that were actually given, so an empty object means "no filtering"
+function parseCommentFilters(query) {
+  const filters = {};
+  const q = query.q || query.query;
+  const hasTimestamp = query.hasTimestamp || query.has_timestamp;
+  const minLikes = query.minLikes || query.min_likes;
+
+  if (q) filters.q = q;
+  if (query.author) filters.author = query.author;
+  if (isTrue(query.pinned)) filters.pinned = true;
+  if (isTrue(query.hearted)) filters.hearted = true;
+  if (isTrue(hasTimestamp)) filters.hasTimestamp = true;
+  if (minLikes !== undefined) filters.minLikes = Number(minLikes);
+
+  return filters;
+}
+
 // Get video comments with pagination
 // GET /api/search/video/:id/comments?start=1&end=50&sort=top&max=500
+// Filters search the cached set: &q=keywords&author=name|channelId&pinned=true
+//   &hearted=true&hasTimestamp=true&minLikes=100
 router.get('/video/:id/comments', async (req, res) => {
   try {
     const { id } = req.params;
@@ -449,7 +554,186 @@ router.get('/video/:id/comments', async (req, res) => {
       forceRefresh: refresh === 'true' || force_refresh === 'true'
     };
 
-    const results = await getVideoComments(id, options);
+    const filters = parseCommentFilters(req.query);
+
+    if (filters.minLikes !== undefined && (isNaN(filters.minLikes) || filters.minLikes < 0)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'minLikes must be a non-negative number' 
+      });
+    }
+
+    const results = Object.keys(filters).length > 0
+      ? await searchVideoComments(id, { ...options, filters })
+      : await getVideoComments(id, options);
+    res.json(results);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Comment analytics over the cached set: top commenters, most liked,
+// timestamp histogram and language distribution. The histogram needs the video's
+// duration (cached by /video/:id) and has at most 500 buckets; bucket widens to fit.
+// GET /api/search/video/:id/comments/stats?sort=top&max=500&bucket=30&limit=10
+router.get('/video/:id/comments/stats', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { 
+      sort = 'top',
+      max = 500,
+      bucket = 30,
+      limit = 10
+    } = req.query;
+
+    const bucketSize = parseInt(bucket);
+    if (isNaN(bucketSize) || bucketSize < 1) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'bucket must be a positive number of seconds' 
+      });
+    }
+
+    const results = await getCommentStats(id, {
+      sortBy: sort,
+      maxComments: parseInt(max) || 500,
+      bucketSize,
+      limit: Math.min(parseInt(limit) || 10, 100)
+    });
+    res.json(results);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get replies to a comment (the comment must have been loaded via /comments first)
+// GET /api/search/video/:id/comments/:commentId/replies?start=1&end=10&sort=top
+router.get('/video/:id/comments/:commentId/replies', async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+    const { 
+      start = 1, 
+      end = 10, 
+      sort = 'top',
+      sortBy,
+      sort_by
+    } = req.query;
+
+    const options = {
+      start: parseInt(start) || 1,
+      end: parseInt(end) || 10,
+      sortBy: sort || sortBy || sort_by || 'top'
+    };
+
+    if (options.start < 1 || options.end < options.start) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'start must be at least 1 and end must not be less than start' 
+      });
+    }
+
+    const results = await getCommentReplies(id, commentId, options);
+
+    if (!results.success) {
+      return res.status(404).json(results);
+    }
+
+    res.json(results);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// List caption tracks
+// GET /api/search/video/:id/captions
+router.get('/video/:id/captions', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!id) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Video ID is required' 
+      });
+    }
+
+    const results = await getCaptionTracks(id);
+    res.json(results);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get captions for a language as WebVTT (or cues as JSON)
+// GET /api/search/video/:id/captions/:lang?auto=true&format=vtt|json
+router.get('/video/:id/captions/:lang', async (req, res) => {
+  try {
+    const { id, lang } = req.params;
+    const { auto, format = 'vtt' } = req.query;
+
+    if (format !== 'vtt' && format !== 'json') {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'format must be "vtt" or "json"' 
+      });
+    }
+
+    const results = await getCaptionsVtt(id, lang, { auto: auto === 'true' || auto === '1' });
+
+    if (!results.success) {
+      return res.status(404).json(results);
+    }
+
+    if (format === 'json') {
+      const { vtt, ...rest } = results;
+      return res.json(rest);
+    }
+
+    res.setHeader('Content-Type', 'text/vtt; charset=utf-8');
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.send(results.vtt);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Get the full transcript, optionally searched
+// GET /api/search/video/:id/transcript?lang=en&auto=false&q=word&format=json|srt|txt
+router.get('/video/:id/transcript', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { lang, auto, q, query, format = 'json' } = req.query;
+
+    if (!['json', 'srt', 'txt'].includes(format)) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'format must be "json", "srt" or "txt"' 
+      });
+    }
+
+    const searchQuery = q || query;
+    const results = await getTranscript(id, {
+      lang,
+      auto: auto === 'true' || auto === '1',
+      q: searchQuery
+    });
+
+    if (!results.success) {
+      return res.status(404).json(results);
+    }
+
+    if (format === 'srt') {
+      res.setHeader('Content-Type', 'application/x-subrip; charset=utf-8');
+      const filename = `${id}.${results.language}`.replace(/[^\w.-]/g, '');
+      res.setHeader('Content-Disposition', `inline; filename="${filename}.srt"`);
+      return res.send(transcriptToSrt(results.segments));
+    }
+
+    if (format === 'txt') {
+      res.setHeader('Content-Type', 'text/plain; charset=utf-8');
+      return res.send(transcriptToText(results.segments, { timestamps: Boolean(searchQuery) }));
+    }
+
     res.json(results);
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
@@ -558,6 +842,12 @@ GET /api/search/suggestions?q=how+to
 
 ## Get trending videos
 GET /api/search/trending?region=US
+GET /api/search/trending?region=IN&category=music
+
+## Subscribe to a saved search (RSS 2.0, Atom 1.0, JSON Feed 1.1)
+GET /api/search/feed.rss?q=lofi+hip+hop
+GET /api/search/feed.atom?q=music&duration=short&uploadDate=week
+GET /api/search/feed.json?q=music&sort=relevance&start=1&end=30
 
 
 # VIDEO INFO ENDPOINTS
@@ -590,6 +880,39 @@ GET /api/search/video/dQw4w9WgXcQ/comments?start=1&end=500&max=500
 ## Force refresh comments cache
 GET /api/search/video/dQw4w9WgXcQ/comments?refresh=true
 
+## Search and filter the cached comments
+GET /api/search/video/dQw4w9WgXcQ/comments?q=rickroll&minLikes=100
+GET /api/search/video/dQw4w9WgXcQ/comments?author=@RickAstleyYT&pinned=true
+GET /api/search/video/dQw4w9WgXcQ/comments?hearted=true&hasTimestamp=true
+
+## Get comment stats (top commenters, timestamp histogram, languages)
+GET /api/search/video/dQw4w9WgXcQ/comments/stats?bucket=30&limit=10
+
+## Get replies to a comment (load the comment via /comments first)
+GET /api/search/video/dQw4w9WgXcQ/comments/UgzXXXXXXXX/replies?start=1&end=10
+
+
+# CAPTION ENDPOINTS
+
+## List caption tracks
+GET /api/search/video/dQw4w9WgXcQ/captions
+
+## Get a caption track as WebVTT
+GET /api/search/video/dQw4w9WgXcQ/captions/en
+
+## Get an auto-generated track as JSON cues
+GET /api/search/video/dQw4w9WgXcQ/captions/en?auto=true&format=json
+
+## Get transcript
+GET /api/search/video/dQw4w9WgXcQ/transcript?lang=en
+
+## Get transcript as SRT or plain text
+GET /api/search/video/dQw4w9WgXcQ/transcript?lang=en&format=srt
+GET /api/search/video/dQw4w9WgXcQ/transcript?format=txt
+
+## Search within a transcript
+GET /api/search/video/dQw4w9WgXcQ/transcript?q=never+gonna
+
 
 # RELATED VIDEOS
 
@@ -621,12 +944,49 @@ DELETE /api/search/cache?q=music
 - end: End index
 - fetchTags: true/false — Fetch full video tags
 
+# Trending Parameters
+- region: Two-letter ISO country code YouTube supports as a content location (default: US)
+- category: now, music, gaming, movies (omit for all sections)
+
+# Feed Parameters
+- q / query: Saved search query (required)
+- sort: Same as search (default: date, newest first)
+- duration / uploadDate: Same as search
+- start / end: Range of results to include
+- Responses carry ETag and Last-Modified and answer conditional requests with 304
+
 # Comment Parameters
 - start: Start index for comments (default: 1)
 - end: End index for comments (default: 20)
 - sort / sortBy: top, newest (default: top)
 - max / maxComments: Maximum comments to fetch (default: 500)
 - refresh: Force refresh cached comments (true/false)
+- q / query: Only comments containing these keywords
+- author: Only comments by this author name or channel ID
+- pinned / hearted: Only pinned / creator-hearted comments (true/false)
+- hasTimestamp: Only comments that mention a video timestamp (true/false)
+- minLikes: Only comments with at least this many likes
+
+# Comment Stats Parameters
+- sort / max: Same as the comment parameters
+- bucket: Histogram bucket size in seconds (default: 30, widened to keep at most 500 buckets)
+- limit: Number of top commenters (default: 10, max: 100)
+- The timestamp histogram needs the video's duration, cached by /video/:id
+
+# Reply Parameters
+- start: Start index for replies (default: 1)
+- end: End index for replies (default: 10)
+- sort / sortBy: top, newest (default: top)
+
+# Caption Parameters
+- auto: Prefer the auto-generated track for the language (true/false)
+- format: vtt, json (default: vtt)
+
+# Transcript Parameters
+- lang: Caption language code (default: the best available track)
+- auto: Prefer the auto-generated track (true/false)
+- q / query: Only return segments containing this text
+- format: json, srt, txt (default: json)
 
 # Related Video Parameters
 - start: Start index (default: 1)
@@ -0,0 +1,120 @@
+import express from 'express';
+import { importSubscriptionList } from '../handlers/subscriptionHandlers.js';
+import { authenticate, getSubscriptions, importSubscriptions } from '../handlers/accountHandlers.js';
+import { IMPORT_FORMATS, EXPORT_FORMATS, exportSubscriptionList } from '../utils/subscriptionFormats.js';
+import { createRateLimiter } from '../utils/rateLimit.js';
+
+const router = express.Router();
+
+// Every handle or channel URL in an import costs an Innertube lookup, so imports
+// are throttled (per account, or per IP when signed out) and signed-out imports
+// only get a few lookups
+const IMPORT_LIMITS = {
+  ANONYMOUS_MAX_LOOKUPS: 25,
+  ANONYMOUS_PER_HOUR: 5,
+  ACCOUNT_PER_HOUR: 20,
+};
+
+const anonymousImports = createRateLimiter({ windowMs: 60 * 60 * 1000, max: IMPORT_LIMITS.ANONYMOUS_PER_HOUR });
+const accountImports = createRateLimiter({ windowMs: 60 * 60 * 1000, max: IMPORT_LIMITS.ACCOUNT_PER_HOUR });
+
+/**
+ * Subscription list import/export
+ *
+ * POST /api/subscriptions/import?format=auto|opml|csv|newpipe|freetube
+ *      Body: the file as-is (OPML, Takeout subscriptions.csv, NewPipe JSON, FreeTube .db).
+ *      Returns the resolved channels and the entries that couldn't be resolved;
+ *      with Authorization: Bearer <token> they're also added to the account.
+ *      Signed out: 5 imports per hour per IP, at most 25 handles/URLs looked up each;
+ *      signed in: 20 imports per hour (429 beyond that).
+ *
+ * GET  /api/subscriptions/export.opml|.json    - the account's list (Bearer token required)
+ * POST /api/subscriptions/export.opml|.json    - a browser's list { channels: [{ channelId, name }] }
+ */
+
+// undefined: no token sent, null: token sent but invalid
+function userFromRequest(req) {
+  const header = req.headers.authorization || '';
+  if (!header.startsWith('Bearer ')) return undefined;
+  return authenticate(header.slice(7).trim());
+}
+
+function sendExport(res, subscriptions, format) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="subscriptions.${extension}"`);
+  res.send(exportSubscriptionList(subscriptions, format));
+}
+
+router.post('/import', express.text({ type: () => true, limit: '2mb' }), async (req, res) => {
+  try {
+    const format = req.query.format || 'auto';
+    if (format !== 'auto' && !IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ success: false, error: `format must be one of: auto, ${IMPORT_FORMATS.join(', ')}` });
+    }
+
+    const user = userFromRequest(req);
+    if (user === null) {
+      return res.status(401).json({ success: false, error: 'Sign in required' });
+    }
+
+    const text = typeof req.body === 'string' ? req.body : '';
+    if (!text.trim()) {
+      return res.status(400).json({ success: false, error: 'Request body must contain the exported subscription list' });
+    }
+
+    const retryAfter = user ? accountImports.hit(user.id) : anonymousImports.hit(req.ip);
+    if (retryAfter > 0) {
+      res.setHeader('Retry-After', String(retryAfter));
+      return res.status(429).json({ success: false, error: 'Too many imports, try again later' });
+    }
+
+    const { status, ...result } = await importSubscriptionList(text, {
+      format,
+      maxLookups: user ? undefined : IMPORT_LIMITS.ANONYMOUS_MAX_LOOKUPS
+    });
+    if (!result.success) {
+      return res.status(status || 400).json(result);
+    }
+
+    if (user) {
+      const { imported, skipped, total } = importSubscriptions(user, result.channels);
+      result.account = { imported, skipped, total };
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+for (const format of Object.keys(EXPORT_FORMATS)) {
+  router.get(`/export.${format}`, (req, res) => {
+    try {
+      const user = userFromRequest(req);
+      if (!user) {
+        return res.status(401).json({ success: false, error: 'Sign in required' });
+      }
+
+      sendExport(res, getSubscriptions(user).subscriptions, format);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  router.post(`/export.${format}`, express.json({ limit: '1mb' }), (req, res) => {
+    try {
+      const channels = req.body?.channels;
+      if (!Array.isArray(channels)) {
+        return res.status(400).json({ success: false, error: 'channels must be an array' });
+      }
+
+      const subscriptions = channels.filter(sub => /^UC[\w-]{22}$/.test(sub?.channelId || ''));
+      sendExport(res, subscriptions, format);
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+}
+
+export default router;
@@ -0,0 +1,416 @@
+import fs from 'fs';
+import path from 'path';
+import { onShutdown } from './shutdown.js';
+
+// ==================== CONFIGURATION ====================
+const CONFIG = {
+  BACKEND: process.env.CACHE_BACKEND || 'memory',            // 'memory' | 'file'
+  DIR: process.env.CACHE_DIR || path.join(process.cwd(), '.cache'),
+  FLUSH_INTERVAL: parseInt(process.env.CACHE_FLUSH_INTERVAL) || 30 * 1000,
+  FILE_VERSION: 1,
+
+  // Limits (per store, overridable via createCacheStore options)
+  DEFAULT_MAX_ENTRIES: 1000,
+  DEFAULT_MAX_BYTES: 64 * 1024 * 1024,    // 64 MB
+  SWEEP_INTERVAL: 60 * 1000,              // Drop expired entries / enforce limits every minute
+  SIZE_SAMPLE: 50,                        // Array items measured before extrapolating
+};
+
+const identity = value => value;
+
+// Rough serialized size of plain data. Long arrays are sampled so that
+// re-measuring a growing video list on every page stays cheap.
+function estimateBytes(value, seen = new WeakSet()) {
+  if (value === null || value === undefined) return 4;
+
+  switch (typeof value) {
+    case 'string': return value.length + 2;
+    case 'number': return 8;
+    case 'boolean': return 4;
+    case 'object': break;
+    default: return 0;
+  }
+
+  if (seen.has(value)) return 0;
+  seen.add(value);
+
+  const items = value instanceof Set ? [...value] : Array.isArray(value) ? value : null;
+  if (items) {
+    if (items.length <= CONFIG.SIZE_SAMPLE) {
+      return items.reduce((sum, item) => sum + estimateBytes(item, seen) + 1, 2);
+    }
+    const step = items.length / CONFIG.SIZE_SAMPLE;
+    let sampled = 0;
+    for (let i = 0; i < CONFIG.SIZE_SAMPLE; i++) {
+      sampled += estimateBytes(items[Math.floor(i * step)], seen) + 1;
+    }
+    return Math.round(sampled / CONFIG.SIZE_SAMPLE * items.length) + 2;
+  }
+
+  let bytes = 2;
+  for (const [key, child] of Object.entries(value)) {
+    bytes += key.length + 3 + estimateBytes(child, seen);
+  }
+  return bytes;
+}
+
+// ==================== MEMORY STORE ====================
+// Map-compatible LRU store. Handlers mutate cached entries in place (videos.push, etc.),
+// so callers use touch(key) to re-measure an entry and tell persistent backends it changed.
+//
+// Options:
+//   maxEntries / maxBytes - budgets enforced by evicting least recently used entries
+//   sizeOf(value)         - byte estimate; point it at the plain data, not live continuations
+//   isExpired(value)      - entries the periodic sweep should drop
+//   isPinned(value)       - entries that must not be evicted (e.g. still being fetched)
+class MemoryCacheStore {
+  constructor(namespace, {
+    maxEntries = CONFIG.DEFAULT_MAX_ENTRIES,
+    maxBytes = CONFIG.DEFAULT_MAX_BYTES,
+    sizeOf = estimateBytes,
+    isExpired = () => false,
+    isPinned = () => false
+  } = {}) {
+    this.namespace = namespace;
+    this.map = new Map();
+    this.sizes = new Map();
+    this.bytes = 0;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.sizeOf = sizeOf;
+    this.isExpired = isExpired;
+    this.isPinned = isPinned;
+    this.evictions = { entries: 0, bytes: 0, expired: 0 };
+  }
+
+  get(key) {
+    const value = this.map.get(key);
+    if (value !== undefined) {
+      // Move to the most-recently-used end
+      this.map.delete(key);
+      this.map.set(key, value);
+    }
+    return value;
+  }
+
+  set(key, value) {
+    this.map.delete(key);
+    this.map.set(key, value);
+    this.touch(key);
+    return this;
+  }
+
+  has(key) {
+    return this.map.has(key);
+  }
+
+  delete(key) {
+    const deleted = this.map.delete(key);
+    if (deleted) {
+      this.resize(key);
+      this.markChanged();
+    }
+    return deleted;
+  }
+
+  clear() {
+    this.map.clear();
+    this.sizes.clear();
+    this.bytes = 0;
+    this.markChanged();
+  }
+
+  touch(key) {
+    if (key !== undefined) {
+      this.resize(key);
+      this.enforceLimits(key);
+    }
+    this.markChanged();
+  }
+
+  markChanged() {}
+
+  resize(key) {
+    this.bytes -= this.sizes.get(key) || 0;
+
+    if (!this.map.has(key)) {
+      this.sizes.delete(key);
+      return;
+    }
+
+    let size = 0;
+    try {
+      size = this.sizeOf(this.map.get(key)) || 0;
+    } catch {}
+    this.sizes.set(key, size);
+    this.bytes += size;
+  }
+
+  // Evict from the least-recently-used end until both budgets hold.
+  // The key that triggered enforcement is kept even if it alone exceeds maxBytes.
+  enforceLimits(protectedKey) {
+    if (this.map.size <= this.maxEntries && this.bytes <= this.maxBytes) return;
+
+    for (const [key, value] of this.map) {
+      const overEntries = this.map.size > this.maxEntries;
+      const overBytes = this.bytes > this.maxBytes;
+      if (!overEntries && !overBytes) break;
+      if (key === protectedKey || this.isPinned(value)) continue;
+
+      this.map.delete(key);
+      this.resize(key);
+      this.evictions[overEntries ? 'entries' : 'bytes']++;
+    }
+  }
+
+  // Periodic maintenance: drop expired entries, then re-check budgets
+  sweep() {
+    let removed = 0;
+    for (const [key, value] of this.map) {
+      if (!this.isPinned(value) && this.isExpired(value)) {
+        this.map.delete(key);
+        this.resize(key);
+        removed++;
+      }
+    }
+
+    this.evictions.expired += removed;
+    this.enforceLimits();
+    if (removed > 0) this.markChanged();
+    return removed;
+  }
+
+  keys() {
+    return this.map.keys();
+  }
+
+  values() {
+    return this.map.values();
+  }
+
+  entries() {
+    return this.map.entries();
+  }
+
+  [Symbol.iterator]() {
+    return this.map[Symbol.iterator]();
+  }
+
+  get size() {
+    return this.map.size;
+  }
+
+  async flush() {}
+
+  flushSync() {}
+
+  getStats() {
+    return {
+      backend: 'memory',
+      entries: this.map.size,
+      bytes: this.bytes,
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      evictions: { ...this.evictions }
+    };
+  }
+}
+
+// ==================== FILE STORE ====================
+// Keeps the working set in memory and snapshots it to <dir>/<namespace>.json.
+// serialize(value) must return plain JSON (no Sets, no live youtubei.js objects);
+// returning undefined skips the entry. deserialize(data) rebuilds the in-memory
+// shape and may return null to drop an entry that can't be resumed.
+class FileCacheStore extends MemoryCacheStore {
+  constructor(namespace, { serialize = identity, deserialize = identity, dir = CONFIG.DIR, ...limits } = {}) {
+    super(namespace, limits);
+    this.serialize = serialize;
+    this.deserialize = deserialize;
+    this.file = path.join(dir, `${namespace.replace(/[^\w.-]/g, '_')}.json`);
+    this.dirty = false;
+    this.flushing = null;
+    this.lastFlush = null;
+    this.lastError = null;
+
+    this.load();
+  }
+
+  load() {
+    let raw;
+    try {
+      raw = fs.readFileSync(this.file, 'utf8');
+    } catch {
+      return;
+    }
+
+    try {
+      const snapshot = JSON.parse(raw);
+      if (snapshot.version !== CONFIG.FILE_VERSION) return;
+
+      for (const [key, data] of snapshot.entries || []) {
+        const value = this.deserialize(data);
+        if (value !== null && value !== undefined) {
+          this.map.set(key, value);
+          this.resize(key);
+        }
+      }
+      this.enforceLimits();
+      console.log(`💾 Restored ${this.map.size} ${this.namespace} cache entries`);
+    } catch (e) {
+      this.lastError = e.message;
+      console.error(`❌ Could not restore ${this.namespace} cache: ${e.message}`);
+    }
+  }
+
+  markChanged() {
+    this.dirty = true;
+  }
+
+  snapshot() {
+    const entries = [];
+    for (const [key, value] of this.map) {
+      const data = this.serialize(value);
+      if (data !== undefined) entries.push([key, data]);
+    }
+    return JSON.stringify({ version: CONFIG.FILE_VERSION, savedAt: Date.now(), entries });
+  }
+
+  async flush() {
+    if (!this.dirty) return;
+    if (this.flushing) return this.flushing;
+
+    this.dirty = false;
+    const tmpFile = `${this.file}.tmp`;
+
+    this.flushing = (async () => {
+      try {
+        await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+        await fs.promises.writeFile(tmpFile, this.snapshot());
+        await fs.promises.rename(tmpFile, this.file);
+        this.lastFlush = Date.now();
+        this.lastError = null;
+      } catch (e) {
+        this.dirty = true;
+        this.lastError = e.message;
+        console.error(`❌ Could not persist ${this.namespace} cache: ${e.message}`);
+      } finally {
+        this.flushing = null;
+      }
+    })();
+
+    return this.flushing;
+  }
+
+  // Used on shutdown, when there is no event loop left for async writes
+  flushSync() {
+    if (!this.dirty) return;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.writeFileSync(`${this.file}.tmp`, this.snapshot());
+      fs.renameSync(`${this.file}.tmp`, this.file);
+      this.dirty = false;
+    } catch (e) {
+      console.error(`❌ Could not persist ${this.namespace} cache: ${e.message}`);
+    }
+  }
+
+  getStats() {
+    return {
+      ...super.getStats(),
+      backend: 'file',
+      file: this.file,
+      dirty: this.dirty,
+      lastFlush: this.lastFlush,
+      lastError: this.lastError
+    };
+  }
+}
+
+// ==================== REGISTRY ====================
+const stores = new Map();
+let flushTimer = null;
+let sweepTimer = null;
+
+function startSweeping() {
+  if (sweepTimer) return;
+
+  sweepTimer = setInterval(() => {
+    for (const store of stores.values()) {
+      const removed = store.sweep();
+      if (removed > 0) console.log(`🧹 Swept ${removed} expired ${store.namespace} cache entries`);
+    }
+  }, CONFIG.SWEEP_INTERVAL);
+  sweepTimer.unref();
+}
+
+function startFlushing() {
+  if (flushTimer) return;
+
+  flushTimer = setInterval(() => {
+    for (const store of stores.values()) store.flush();
+  }, CONFIG.FLUSH_INTERVAL);
+  flushTimer.unref();
+
+  onShutdown(flushAllSync);
+}
+
+function flushAllSync() {
+  for (const store of stores.values()) store.flushSync();
+}
+
+// Create (or return) the store for a namespace using the configured backend
+function createCacheStore(namespace, options = {}) {
+  if (stores.has(namespace)) return stores.get(namespace);
+
+  const backend = options.backend || CONFIG.BACKEND;
+  let store;
+
+  if (backend === 'file') {
+    store = new FileCacheStore(namespace, options);
+    startFlushing();
+  } else {
+    if (backend !== 'memory') {
+      console.warn(`⚠️ Unknown cache backend "${backend}", using memory`);
+    }
+    store = new MemoryCacheStore(namespace, options);
+  }
+
+  stores.set(namespace, store);
+  startSweeping();
+  return store;
+}
+
+function getCacheStoreStats() {
+  const namespaces = {};
+  let bytes = 0;
+  const evictions = { entries: 0, bytes: 0, expired: 0 };
+
+  for (const [name, store] of stores) {
+    const stats = store.getStats();
+    namespaces[name] = stats;
+    bytes += stats.bytes;
+    for (const reason of Object.keys(evictions)) evictions[reason] += stats.evictions[reason];
+  }
+
+  return {
+    backend: CONFIG.BACKEND,
+    dir: CONFIG.BACKEND === 'file' ? CONFIG.DIR : null,
+    bytes,
+    evictions,
+    namespaces
+  };
+}
+
+async function flushAll() {
+  await Promise.all([...stores.values()].map(store => store.flush()));
+}
+
+export {
+  CONFIG as CACHE_STORE_CONFIG,
+  MemoryCacheStore,
+  FileCacheStore,
+  createCacheStore,
+  getCacheStoreStats,
+  estimateBytes,
+  flushAll
+};
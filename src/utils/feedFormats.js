@@ -0,0 +1,201 @@
+import crypto from 'crypto';
+
+// ==================== FEED FORMATS ====================
+// One neutral feed model rendered as RSS 2.0, Atom 1.0 or JSON Feed 1.1:
+//
+// feed: { id, title, description, homePageUrl, feedUrl, image, author, updated, fetchedAt, items }
+// item: { id, title, url, youtubeUrl, summary, image, published, author, duration }
+//
+// Dates are ms timestamps (item.published may be null when unknown). `url` is
+// the watch page on this site and doubles as the enclosure link. fetchedAt is
+// when the underlying list was fetched from YouTube and drives Last-Modified.
+
+const UNIT_MS = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+  year: 365 * 24 * 60 * 60 * 1000
+};
+
+const RELATIVE_TIME = /(\d+)\s*(second|minute|hour|day|week|month|year)s?\s+ago/i;
+
+// YouTube lists only give relative times ("3 days ago", "Streamed 2 weeks ago").
+// Turn them into an approximate timestamp, relative to when the list was fetched.
+function estimatePublishedAt(published, fetchedAt = Date.now()) {
+  const match = RELATIVE_TIME.exec(published || '');
+  if (!match) return null;
+  return fetchedAt - parseInt(match[1]) * UNIT_MS[match[2].toLowerCase()];
+}
+
+const escapeXml = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;')
+  // Characters XML 1.0 doesn't allow at all
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+const rfc822 = ms => new Date(ms).toUTCString();
+const iso = ms => new Date(ms).toISOString();
+
+function itemDescription(item) {
+  const parts = [];
+  if (item.image) parts.push(`<p><a href="${escapeXml(item.url)}"><img src="${escapeXml(item.image)}" alt=""></a></p>`);
+  if (item.summary) parts.push(`<p>${escapeXml(item.summary).replace(/\n/g, '<br>')}</p>`);
+  return parts.join('');
+}
+
+function buildRss(feed) {
+  const items = feed.items.map(item => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(item.url)}</link>`,
+    `      <guid isPermaLink="false">yt:video:${escapeXml(item.id)}</guid>`,
+    item.published ? `      <pubDate>${rfc822(item.published)}</pubDate>` : null,
+    item.author ? `      <dc:creator>${escapeXml(item.author)}</dc:creator>` : null,
+    `      <description>${escapeXml(itemDescription(item))}</description>`,
+    `      <enclosure url="${escapeXml(item.url)}" type="text/html" length="0"/>`,
+    item.image ? `      <media:thumbnail url="${escapeXml(item.image)}"/>` : null,
+    '    </item>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.homePageUrl)}</link>`,
+    `    <description>${escapeXml(feed.description || feed.title)}</description>`,
+    `    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>`,
+    `    <lastBuildDate>${rfc822(feed.updated)}</lastBuildDate>`,
+    feed.image ? `    <image><url>${escapeXml(feed.image)}</url><title>${escapeXml(feed.title)}</title><link>${escapeXml(feed.homePageUrl)}</link></image>` : null,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+function buildAtom(feed) {
+  const entries = feed.items.map(item => [
+    '  <entry>',
+    `    <id>yt:video:${escapeXml(item.id)}</id>`,
+    `    <title>${escapeXml(item.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}"/>`,
+    `    <link rel="enclosure" type="text/html" href="${escapeXml(item.url)}"/>`,
+    item.youtubeUrl ? `    <link rel="related" type="text/html" href="${escapeXml(item.youtubeUrl)}"/>` : null,
+    `    <updated>${iso(item.published || feed.updated)}</updated>`,
+    item.published ? `    <published>${iso(item.published)}</published>` : null,
+    item.author ? `    <author><name>${escapeXml(item.author)}</name></author>` : null,
+    `    <content type="html">${escapeXml(itemDescription(item))}</content>`,
+    item.image ? `    <media:thumbnail url="${escapeXml(item.image)}"/>` : null,
+    '  </entry>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">',
+    `  <id>${escapeXml(feed.id)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    feed.description ? `  <subtitle>${escapeXml(feed.description)}</subtitle>` : null,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.homePageUrl)}"/>`,
+    `  <updated>${iso(feed.updated)}</updated>`,
+    `  <author><name>${escapeXml(feed.author || feed.title)}</name></author>`,
+    feed.image ? `  <logo>${escapeXml(feed.image)}</logo>` : null,
+    ...entries,
+    '</feed>',
+    ''
+  ].filter(line => line !== null).join('\n');
+}
+
+function buildJsonFeed(feed) {
+  const json = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homePageUrl,
+    feed_url: feed.feedUrl,
+    description: feed.description || undefined,
+    icon: feed.image || undefined,
+    authors: feed.author ? [{ name: feed.author }] : undefined,
+    items: feed.items.map(item => ({
+      id: `yt:video:${item.id}`,
+      url: item.url,
+      external_url: item.youtubeUrl || undefined,
+      title: item.title,
+      content_html: itemDescription(item) || undefined,
+      summary: item.summary || undefined,
+      image: item.image || undefined,
+      date_published: item.published ? iso(item.published) : undefined,
+      authors: item.author ? [{ name: item.author }] : undefined,
+      attachments: [{
+        url: item.url,
+        mime_type: 'text/html',
+        duration_in_seconds: item.duration || undefined
+      }]
+    }))
+  };
+
+  return JSON.stringify(json, null, 2);
+}
+
+const FEED_FORMATS = {
+  rss: { contentType: 'application/rss+xml; charset=utf-8', build: buildRss },
+  atom: { contentType: 'application/atom+xml; charset=utf-8', build: buildAtom },
+  json: { contentType: 'application/feed+json; charset=utf-8', build: buildJsonFeed }
+};
+
+// ==================== HTTP ====================
+
+// Links in a feed must not come from request headers alone: Host and
+// X-Forwarded-* are client-controlled and the feed is cacheable. Set PUBLIC_ORIGIN
+// (e.g. https://example.com) in production; without it the request's own origin
+// is used and the response is only cacheable privately.
+const PUBLIC_ORIGIN = (process.env.PUBLIC_ORIGIN || '').replace(/\/+$/, '');
+
+function siteOrigin(req) {
+  return PUBLIC_ORIGIN || `${req.protocol}://${req.get('host')}`;
+}
+
+// Weak ETag over what the feed contains rather than the rendered bytes: estimated
+// dates shift whenever the list is refetched, the items and their titles don't.
+function feedEtag(feed, format) {
+  const hash = crypto.createHash('sha1')
+    .update(format)
+    .update(feed.title)
+    .update(feed.items.map(item => `${item.id}\u0000${item.title}`).join('\u0001'))
+    .digest('base64url');
+  return `W/"${hash}"`;
+}
+
+function sendFeed(req, res, feed, format) {
+  const etag = feedEtag(feed, format);
+  // HTTP dates have second precision
+  const lastModified = Math.floor((feed.fetchedAt || feed.updated) / 1000) * 1000;
+
+  res.setHeader('ETag', etag);
+  res.setHeader('Last-Modified', rfc822(lastModified));
+  res.setHeader('Cache-Control', PUBLIC_ORIGIN ? 'public, max-age=900' : 'private, max-age=900');
+  res.setHeader('Access-Control-Allow-Origin', '*');
+
+  // If-None-Match wins over If-Modified-Since when both are sent
+  const ifNoneMatch = req.headers['if-none-match'];
+  const ifModifiedSince = Date.parse(req.headers['if-modified-since'] || '');
+
+  const notModified = ifNoneMatch
+    ? ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag.replace(/^W\//, '') || tag.trim() === '*')
+    : !isNaN(ifModifiedSince) && lastModified <= ifModifiedSince;
+
+  if (notModified) {
+    return res.status(304).end();
+  }
+
+  res.setHeader('Content-Type', FEED_FORMATS[format].contentType);
+  res.send(FEED_FORMATS[format].build(feed));
+}
+
+export { FEED_FORMATS, escapeXml, estimatePublishedAt, siteOrigin, sendFeed };
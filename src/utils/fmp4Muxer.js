@@ -0,0 +1,206 @@
+// ==================== FRAGMENTED MP4 MUXER ====================
+// Combines one video-only and one audio-only fragmented MP4 (YouTube's DASH
+// formats) into a single two-track fMP4 stream, without re-encoding.
+//
+// Output layout: ftyp + moov(video trak #1, audio trak #2, mvex), then the
+// source moof/mdat pairs in time order with track IDs and sequence numbers
+// rewritten. trun data offsets are relative to their moof, so each pair can
+// be copied verbatim as long as moof is immediately followed by its mdat.
+// When the stream starts mid-video, tfdt decode times are shifted back so
+// the output still starts at zero.
+
+const CONTAINER_BOXES = new Set(['moov', 'trak', 'mdia', 'minf', 'stbl', 'mvex', 'moof', 'traf', 'edts', 'dinf']);
+
+const VIDEO_TRACK_ID = 1;
+const AUDIO_TRACK_ID = 2;
+
+// tfhd flag: explicit absolute base offset (would break once pairs are moved)
+const TFHD_BASE_DATA_OFFSET_PRESENT = 0x000001;
+
+// Split a buffer into top-level boxes: [{ type, start, size, headerSize }]
+function readBoxes(buffer, start = 0, end = buffer.length) {
+  const boxes = [];
+  let pos = start;
+
+  while (pos + 8 <= end) {
+    let size = buffer.readUInt32BE(pos);
+    const type = buffer.toString('ascii', pos + 4, pos + 8);
+    let headerSize = 8;
+
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(pos + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - pos;
+    }
+
+    if (size < headerSize || pos + size > end) break;
+
+    boxes.push({ type, start: pos, size, headerSize });
+    pos += size;
+  }
+
+  return boxes;
+}
+
+// Depth-first search for the first box matching a path like ['trak', 'tkhd']
+function findBox(buffer, path, start = 0, end = buffer.length) {
+  const [type, ...rest] = path;
+
+  for (const box of readBoxes(buffer, start, end)) {
+    if (box.type !== type) continue;
+    if (rest.length === 0) return box;
+    if (CONTAINER_BOXES.has(box.type)) {
+      const found = findBox(buffer, rest, box.start + box.headerSize, box.start + box.size);
+      if (found) return found;
+    }
+  }
+
+  return null;
+}
+
+function makeBox(type, ...payloads) {
+  const body = Buffer.concat(payloads);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8, 0);
+  header.write(type, 4, 'ascii');
+  return Buffer.concat([header, body]);
+}
+
+const copyBox = (buffer, box) => Buffer.from(buffer.subarray(box.start, box.start + box.size));
+
+// tkhd: fullbox header, then creation/modification times (32 or 64 bit), then track_ID
+function setTkhdTrackId(tkhd, trackId) {
+  const version = tkhd.readUInt8(8);
+  tkhd.writeUInt32BE(trackId, 12 + (version === 1 ? 16 : 8));
+}
+
+// mdhd: fullbox header, then creation/modification times (32 or 64 bit), then timescale
+function readTimescale(initBuffer) {
+  const mdhd = findBox(initBuffer, ['moov', 'trak', 'mdia', 'mdhd']);
+  if (!mdhd) throw new Error('Init segment has no mdhd box');
+  const version = initBuffer.readUInt8(mdhd.start + 8);
+  return initBuffer.readUInt32BE(mdhd.start + 12 + (version === 1 ? 16 : 8));
+}
+
+// Parse an init segment (ftyp + moov) into the pieces needed to rebuild moov
+function parseInitSegment(buffer) {
+  const top = readBoxes(buffer);
+  const ftyp = top.find(b => b.type === 'ftyp');
+  const moov = top.find(b => b.type === 'moov');
+  if (!moov) throw new Error('Init segment has no moov box');
+
+  const inner = readBoxes(buffer, moov.start + moov.headerSize, moov.start + moov.size);
+  const mvhd = inner.find(b => b.type === 'mvhd');
+  const trak = inner.find(b => b.type === 'trak');
+  const mvex = inner.find(b => b.type === 'mvex');
+  if (!mvhd || !trak || !mvex) throw new Error('Init segment is not a fragmented MP4');
+
+  const mvexInner = readBoxes(buffer, mvex.start + mvex.headerSize, mvex.start + mvex.size);
+  const trex = mvexInner.find(b => b.type === 'trex');
+  const mehd = mvexInner.find(b => b.type === 'mehd');
+  if (!trex) throw new Error('Init segment has no trex box');
+
+  return {
+    ftyp: ftyp ? copyBox(buffer, ftyp) : null,
+    mvhd: copyBox(buffer, mvhd),
+    trak: copyBox(buffer, trak),
+    trex: copyBox(buffer, trex),
+    mehd: mehd ? copyBox(buffer, mehd) : null
+  };
+}
+
+// Build the combined ftyp + moov for a video-only and an audio-only init segment
+function buildInitSegment(videoInitBuffer, audioInitBuffer) {
+  const video = parseInitSegment(videoInitBuffer);
+  const audio = parseInitSegment(audioInitBuffer);
+
+  const mvhd = video.mvhd;
+  mvhd.writeUInt32BE(AUDIO_TRACK_ID + 1, mvhd.length - 4);   // next_track_ID
+
+  const videoTrak = video.trak;
+  setTkhdTrackId(videoTrak.subarray(findBox(videoTrak, ['trak', 'tkhd']).start), VIDEO_TRACK_ID);
+  const audioTrak = audio.trak;
+  setTkhdTrackId(audioTrak.subarray(findBox(audioTrak, ['trak', 'tkhd']).start), AUDIO_TRACK_ID);
+
+  video.trex.writeUInt32BE(VIDEO_TRACK_ID, 12);
+  audio.trex.writeUInt32BE(AUDIO_TRACK_ID, 12);
+
+  const mvex = makeBox('mvex', ...[video.mehd, video.trex, audio.trex].filter(Boolean));
+  const moov = makeBox('moov', mvhd, videoTrak, audioTrak, mvex);
+
+  return video.ftyp ? Buffer.concat([video.ftyp, moov]) : moov;
+}
+
+// ==================== FRAGMENTS ====================
+
+class FragmentRewriter {
+  // timeOffsets: { [trackId]: ticks in that track's timescale to subtract from tfdt }
+  constructor(timeOffsets = {}) {
+    this.sequenceNumber = 1;
+    this.timeOffsets = timeOffsets;
+  }
+
+  // tfdt: fullbox header, then baseMediaDecodeTime (32 bit in version 0, 64 bit in version 1)
+  shiftDecodeTime(moof, trackId) {
+    const offset = this.timeOffsets[trackId];
+    if (!offset) return;
+
+    const tfdt = findBox(moof, ['moof', 'traf', 'tfdt']);
+    if (!tfdt) return;
+
+    const pos = tfdt.start + 12;
+    if (moof.readUInt8(tfdt.start + 8) === 1) {
+      const time = moof.readBigUInt64BE(pos) - BigInt(offset);
+      moof.writeBigUInt64BE(time > 0n ? time : 0n, pos);
+    } else {
+      moof.writeUInt32BE(Math.max(0, moof.readUInt32BE(pos) - offset), pos);
+    }
+  }
+
+  // Take one media segment (moof + mdat pairs, possibly with styp/sidx/emsg)
+  // and return the pairs retargeted at trackId
+  rewrite(segmentBuffer, trackId) {
+    const out = [];
+    const boxes = readBoxes(segmentBuffer);
+
+    for (let i = 0; i < boxes.length; i++) {
+      const box = boxes[i];
+      if (box.type !== 'moof') continue;
+
+      const mdat = boxes[i + 1];
+      if (!mdat || mdat.type !== 'mdat') {
+        throw new Error('moof is not followed by mdat');
+      }
+
+      const moof = copyBox(segmentBuffer, box);
+
+      const mfhd = findBox(moof, ['moof', 'mfhd']);
+      if (mfhd) moof.writeUInt32BE(this.sequenceNumber++, mfhd.start + 12);
+
+      const tfhd = findBox(moof, ['moof', 'traf', 'tfhd']);
+      if (!tfhd) throw new Error('moof has no tfhd');
+      const flags = moof.readUInt32BE(tfhd.start + 8) & 0xffffff;
+      if (flags & TFHD_BASE_DATA_OFFSET_PRESENT) {
+        throw new Error('Fragments with absolute base data offsets are not supported');
+      }
+      moof.writeUInt32BE(trackId, tfhd.start + 12);
+      this.shiftDecodeTime(moof, trackId);
+
+      out.push(moof, segmentBuffer.subarray(mdat.start, mdat.start + mdat.size));
+      i++;
+    }
+
+    return Buffer.concat(out);
+  }
+}
+
+export {
+  VIDEO_TRACK_ID,
+  AUDIO_TRACK_ID,
+  readBoxes,
+  findBox,
+  readTimescale,
+  buildInitSegment,
+  FragmentRewriter
+};
@@ -0,0 +1,125 @@
+// ==================== IN-PROCESS METRICS ====================
+// Counters and histograms rendered in Prometheus text format by /api/admin/metrics
+
+const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const httpRequests = new Map();   // method|route|status -> count
+const httpLatency = new Map();    // method|route -> { buckets, sum, count }
+const cacheLookups = new Map();   // cache -> { hits, misses }
+
+// Express middleware: count requests and observe latency per route
+function metricsMiddleware(req, res, next) {
+  const startedAt = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    const route = req.route?.path
+      ? req.baseUrl + req.route.path
+      : (req.originalUrl.startsWith('/api/') ? 'unmatched' : 'static');
+
+    const countKey = `${req.method}|${route}|${res.statusCode}`;
+    httpRequests.set(countKey, (httpRequests.get(countKey) || 0) + 1);
+
+    const latencyKey = `${req.method}|${route}`;
+    if (!httpLatency.has(latencyKey)) {
+      httpLatency.set(latencyKey, { buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 });
+    }
+    const hist = httpLatency.get(latencyKey);
+    LATENCY_BUCKETS.forEach((le, i) => {
+      if (seconds <= le) hist.buckets[i]++;
+    });
+    hist.sum += seconds;
+    hist.count++;
+  });
+
+  next();
+}
+
+function recordCacheLookup(cache, hit) {
+  if (!cacheLookups.has(cache)) {
+    cacheLookups.set(cache, { hits: 0, misses: 0 });
+  }
+  const entry = cacheLookups.get(cache);
+  if (hit) entry.hits++;
+  else entry.misses++;
+}
+
+function getCacheHitRates() {
+  const rates = {};
+  for (const [cache, { hits, misses }] of cacheLookups) {
+    const total = hits + misses;
+    rates[cache] = { hits, misses, hitRate: total > 0 ? +(hits / total).toFixed(4) : 0 };
+  }
+  return rates;
+}
+
+// ==================== PROMETHEUS TEXT FORMAT ====================
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels = {}) {
+  const parts = Object.entries(labels).map(([k, v]) => `${k}="${escapeLabel(v)}"`);
+  return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+// samples: [{ labels, value }]
+function formatMetric(name, type, help, samples) {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+  for (const { labels, value } of samples) {
+    lines.push(`${name}${formatLabels(labels)} ${Number(value) || 0}`);
+  }
+  return lines.join('\n');
+}
+
+// Render built-in HTTP/cache metrics plus any extra gauges supplied by the caller
+function renderMetrics(extraMetrics = []) {
+  const blocks = [];
+
+  blocks.push(formatMetric(
+    'http_requests_total', 'counter', 'Total HTTP requests by method, route and status',
+    [...httpRequests].map(([key, value]) => {
+      const [method, route, status] = key.split('|');
+      return { labels: { method, route, status }, value };
+    })
+  ));
+
+  const latencyLines = [
+    '# HELP http_request_duration_seconds HTTP request latency in seconds',
+    '# TYPE http_request_duration_seconds histogram'
+  ];
+  for (const [key, hist] of httpLatency) {
+    const [method, route] = key.split('|');
+    LATENCY_BUCKETS.forEach((le, i) => {
+      latencyLines.push(`http_request_duration_seconds_bucket${formatLabels({ method, route, le })} ${hist.buckets[i]}`);
+    });
+    latencyLines.push(`http_request_duration_seconds_bucket${formatLabels({ method, route, le: '+Inf' })} ${hist.count}`);
+    latencyLines.push(`http_request_duration_seconds_sum${formatLabels({ method, route })} ${hist.sum.toFixed(6)}`);
+    latencyLines.push(`http_request_duration_seconds_count${formatLabels({ method, route })} ${hist.count}`);
+  }
+  blocks.push(latencyLines.join('\n'));
+
+  const cacheSamples = { hits: [], misses: [], ratio: [] };
+  for (const [cache, { hits, misses, hitRate }] of Object.entries(getCacheHitRates())) {
+    cacheSamples.hits.push({ labels: { cache }, value: hits });
+    cacheSamples.misses.push({ labels: { cache }, value: misses });
+    cacheSamples.ratio.push({ labels: { cache }, value: hitRate });
+  }
+  blocks.push(formatMetric('cache_hits_total', 'counter', 'Cache lookups that returned an entry', cacheSamples.hits));
+  blocks.push(formatMetric('cache_misses_total', 'counter', 'Cache lookups that found nothing usable', cacheSamples.misses));
+  blocks.push(formatMetric('cache_hit_ratio', 'gauge', 'Cache hit ratio since process start', cacheSamples.ratio));
+
+  for (const metric of extraMetrics) {
+    blocks.push(formatMetric(metric.name, metric.type || 'gauge', metric.help, metric.samples));
+  }
+
+  return blocks.join('\n\n') + '\n';
+}
+
+export {
+  metricsMiddleware,
+  recordCacheLookup,
+  getCacheHitRates,
+  renderMetrics
+};
@@ -0,0 +1,55 @@
+// ==================== CONFIGURATION ====================
+const CONFIG = {
+  MAX_KEYS: 10000,                        // Tracked clients per limiter; the oldest windows go first
+};
+
+// ==================== RATE LIMITER ====================
+// Fixed-window counters per key (usually req.ip). Behind a reverse proxy set
+// TRUST_PROXY so req.ip is the client and not the proxy.
+function createRateLimiter({ windowMs, max }) {
+  const windows = new Map();              // key -> { count, resetAt }
+
+  const sweepTimer = setInterval(() => {
+    const now = Date.now();
+    for (const [key, window] of windows) {
+      if (window.resetAt <= now) windows.delete(key);
+    }
+  }, windowMs);
+  sweepTimer.unref();
+
+  return {
+    // Count one attempt; returns seconds until the window resets when over the limit, else 0
+    hit(key) {
+      const now = Date.now();
+      let window = windows.get(key);
+
+      if (!window || window.resetAt <= now) {
+        windows.delete(key);
+        if (windows.size >= CONFIG.MAX_KEYS) {
+          windows.delete(windows.keys().next().value);
+        }
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+
+      window.count++;
+      return window.count > max ? Math.ceil((window.resetAt - now) / 1000) : 0;
+    }
+  };
+}
+
+// Express middleware answering 429 { success: false, error } once a client is over the limit
+function rateLimit({ windowMs, max, message = 'Too many requests, try again later' }) {
+  const limiter = createRateLimiter({ windowMs, max });
+
+  return (req, res, next) => {
+    const retryAfter = limiter.hit(req.ip);
+    if (retryAfter > 0) {
+      res.setHeader('Retry-After', String(retryAfter));
+      return res.status(429).json({ success: false, error: message });
+    }
+    next();
+  };
+}
+
+export { createRateLimiter, rateLimit };
@@ -0,0 +1,28 @@
+// ==================== SHUTDOWN ====================
+// The one place that turns SIGINT/SIGTERM into a normal exit. Stores register
+// their synchronous flush here; every hook runs on the way out, whatever the
+// import order and whether the exit came from a signal or process.exit().
+const hooks = new Set();
+let installed = false;
+
+function runHooks() {
+  for (const hook of hooks) {
+    try {
+      hook();
+    } catch (e) {
+      console.error(`❌ Shutdown hook failed: ${e.message}`);
+    }
+  }
+}
+
+function onShutdown(hook) {
+  hooks.add(hook);
+  if (installed) return;
+
+  installed = true;
+  process.once('SIGINT', () => process.exit(0));
+  process.once('SIGTERM', () => process.exit(0));
+  process.once('exit', runHooks);
+}
+
+export { onShutdown };
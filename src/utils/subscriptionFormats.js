@@ -0,0 +1,243 @@
+import { escapeXml } from './feedFormats.js';
+
+// ==================== SUBSCRIPTION LIST FORMATS ====================
+// Import: OPML (NewPipe, FreeTube, Invidious, feed readers), YouTube Takeout
+// subscriptions.csv, NewPipe JSON and FreeTube profile exports (.db / JSON).
+// Every parser returns entries { identifier, name, source } where identifier is
+// whatever the file had - a UC channel ID, an @handle or a channel URL - to be
+// normalized by resolveChannelId afterwards. Unusable lines become { identifier: null }.
+//
+// Export: OPML with YouTube's own feed URLs, and NewPipe-style JSON, which both
+// NewPipe and FreeTube import.
+
+const IMPORT_FORMATS = ['opml', 'csv', 'newpipe', 'freetube'];
+const EXPORT_FORMATS = {
+  opml: { contentType: 'text/x-opml; charset=utf-8', extension: 'opml' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+const YOUTUBE_SERVICE_ID = 0;              // NewPipe's service_id for YouTube
+
+const unescapeXml = value => String(value || '')
+  .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+  .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+// Channel ID, @handle or channel URL out of any of the fields the formats use
+function identifierFrom(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  const channelId = text.match(/(?:^|[/=])(UC[\w-]{22})(?![\w-])/);
+  if (channelId) return channelId[1];
+
+  const handle = text.match(/^@[\w.-]+$/) || text.match(/youtube\.com\/(@[\w.-]+)/);
+  if (handle) return handle[1] || handle[0];
+
+  if (/youtube\.com\/(c|user)\/[^/?#]+/.test(text)) return text;
+  return null;
+}
+
+// ==================== PARSERS ====================
+
+function parseOpml(text) {
+  const entries = [];
+
+  for (const [tag] of text.matchAll(/<outline\b[^>]*>/gi)) {
+    const attrs = {};
+    for (const [, name, value] of tag.matchAll(/([\w:-]+)\s*=\s*"([^"]*)"/g)) {
+      attrs[name.toLowerCase()] = unescapeXml(value);
+    }
+
+    // Folder outlines only group the channels
+    if (!attrs.xmlurl && !attrs.htmlurl) continue;
+
+    entries.push({
+      identifier: identifierFrom(attrs.xmlurl) || identifierFrom(attrs.htmlurl),
+      name: attrs.title || attrs.text || null,
+      source: attrs.xmlurl || attrs.htmlurl
+    });
+  }
+
+  return entries;
+}
+
+// RFC 4180 rows: quoted fields may contain commas, quotes ("") and newlines
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+// Takeout: "Channel Id,Channel Url,Channel Title" (capitalization varies by year)
+function parseTakeoutCsv(text) {
+  const rows = parseCsvRows(text);
+  if (rows.length === 0) return [];
+
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const hasHeader = header.some(cell => cell.includes('channel'));
+  const column = pattern => header.findIndex(cell => pattern.test(cell));
+
+  const idCol = hasHeader ? column(/\bid\b/) : 0;
+  const urlCol = hasHeader ? column(/\burl\b/) : 1;
+  const titleCol = hasHeader ? column(/\btitle\b|\bname\b/) : 2;
+
+  return rows.slice(hasHeader ? 1 : 0).map(row => ({
+    identifier: identifierFrom(row[idCol]) || identifierFrom(row[urlCol]),
+    name: row[titleCol]?.trim() || null,
+    source: row.join(',')
+  }));
+}
+
+function parseNewPipe(json) {
+  return (json.subscriptions || [])
+    .filter(sub => sub.service_id === undefined || sub.service_id === YOUTUBE_SERVICE_ID)
+    .map(sub => ({
+      identifier: identifierFrom(sub.url),
+      name: sub.name || null,
+      source: sub.url || JSON.stringify(sub)
+    }));
+}
+
+// FreeTube keeps one profile per line (NeDB); every profile repeats its channels,
+// and the "allChannels" profile holds all of them
+function parseFreeTube(profiles) {
+  const main = profiles.find(profile => profile._id === 'allChannels');
+  const subscriptions = main ? main.subscriptions : profiles.flatMap(profile => profile.subscriptions || []);
+
+  return (subscriptions || []).map(sub => ({
+    identifier: identifierFrom(sub.id) || identifierFrom(sub.url),
+    name: sub.name || null,
+    source: sub.id || sub.url || JSON.stringify(sub)
+  }));
+}
+
+function parseJsonDocuments(text) {
+  try {
+    return [JSON.parse(text)];
+  } catch {
+    // NeDB: one JSON document per line
+    return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+  }
+}
+
+function detectFormat(text) {
+  const trimmed = text.trimStart();
+
+  if (trimmed.startsWith('<')) return 'opml';
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    const docs = parseJsonDocuments(trimmed).flat();
+    if (docs.length === 1 && Array.isArray(docs[0].subscriptions) && docs[0].subscriptions.some(sub => 'url' in sub)) {
+      return 'newpipe';
+    }
+    return 'freetube';
+  }
+
+  return 'csv';
+}
+
+// Returns { format, entries } or throws on files that don't parse at all
+function parseSubscriptionList(text, format = 'auto') {
+  const body = String(text || '').replace(/^\uFEFF/, '');
+  const resolvedFormat = format === 'auto' ? detectFormat(body) : format;
+
+  switch (resolvedFormat) {
+    case 'opml':
+      return { format: resolvedFormat, entries: parseOpml(body) };
+    case 'csv':
+      return { format: resolvedFormat, entries: parseTakeoutCsv(body) };
+    case 'newpipe':
+      return { format: resolvedFormat, entries: parseNewPipe(parseJsonDocuments(body)[0]) };
+    case 'freetube':
+      return { format: resolvedFormat, entries: parseFreeTube(parseJsonDocuments(body).flat()) };
+    default:
+      throw new Error(`format must be one of: auto, ${IMPORT_FORMATS.join(', ')}`);
+  }
+}
+
+// ==================== EXPORT ====================
+// subscriptions: [{ channelId, name }]
+
+function toOpml(subscriptions, title = 'YouTube subscriptions') {
+  const outlines = subscriptions.map(sub => {
+    const name = escapeXml(sub.name || sub.channelId);
+    return `      <outline text="${name}" title="${name}" type="rss" ` +
+      `xmlUrl="https://www.youtube.com/feeds/videos.xml?channel_id=${sub.channelId}" ` +
+      `htmlUrl="https://www.youtube.com/channel/${sub.channelId}"/>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<opml version="1.1">',
+    '  <head>',
+    `    <title>${escapeXml(title)}</title>`,
+    `    <dateCreated>${new Date().toUTCString()}</dateCreated>`,
+    '  </head>',
+    '  <body>',
+    `    <outline text="${escapeXml(title)}" title="${escapeXml(title)}">`,
+    ...outlines,
+    '    </outline>',
+    '  </body>',
+    '</opml>',
+    ''
+  ].join('\n');
+}
+
+function toNewPipeJson(subscriptions) {
+  return JSON.stringify({
+    subscriptions: subscriptions.map(sub => ({
+      service_id: YOUTUBE_SERVICE_ID,
+      url: `https://www.youtube.com/channel/${sub.channelId}`,
+      name: sub.name || sub.channelId
+    }))
+  }, null, 2);
+}
+
+const EXPORTERS = { opml: toOpml, json: toNewPipeJson };
+
+function exportSubscriptionList(subscriptions, format) {
+  return EXPORTERS[format](subscriptions);
+}
+
+export { IMPORT_FORMATS, EXPORT_FORMATS, parseSubscriptionList, exportSubscriptionList };
@@ -0,0 +1,164 @@
+import fs from 'fs';
+import path from 'path';
+import { onShutdown } from './shutdown.js';
+
+// ==================== CONFIGURATION ====================
+const CONFIG = {
+  DIR: process.env.DATA_DIR || path.join(process.cwd(), '.data'),
+  FILE_NAME: 'users.json',
+  FILE_VERSION: 1,
+  WRITE_DELAY: 1000,                      // Coalesce bursts of changes into one write
+};
+
+// ==================== USER DATABASE ====================
+// Accounts and sessions live in memory and are snapshotted to <DATA_DIR>/users.json
+// (tmp file + rename, so a crash never leaves a half-written file). Callers mutate
+// user records in place and call markChanged() afterwards.
+//
+// users:    id -> { id, username, passwordHash, createdAt, history, ... }
+// sessions: sha256(token) -> { userId, createdAt, lastUsedAt }
+const users = new Map();
+const sessions = new Map();
+const usernames = new Map();              // lowercase username -> id
+
+const file = path.join(CONFIG.DIR, CONFIG.FILE_NAME);
+let writeTimer = null;
+let lastError = null;
+
+function load() {
+  let raw;
+  try {
+    raw = fs.readFileSync(file, 'utf8');
+  } catch {
+    return;
+  }
+
+  try {
+    const snapshot = JSON.parse(raw);
+    if (snapshot.version !== CONFIG.FILE_VERSION) {
+      throw new Error(`unsupported file version ${snapshot.version}`);
+    }
+
+    for (const user of snapshot.users || []) {
+      users.set(user.id, user);
+      usernames.set(user.username.toLowerCase(), user.id);
+    }
+    for (const [hash, session] of snapshot.sessions || []) {
+      if (users.has(session.userId)) sessions.set(hash, session);
+    }
+
+    console.log(`👤 Loaded ${users.size} accounts, ${sessions.size} sessions`);
+  } catch (e) {
+    lastError = e.message;
+    console.error(`❌ Could not load user database: ${e.message}`);
+  }
+}
+
+function snapshot() {
+  return JSON.stringify({
+    version: CONFIG.FILE_VERSION,
+    savedAt: Date.now(),
+    users: [...users.values()],
+    sessions: [...sessions.entries()]
+  });
+}
+
+function flushSync() {
+  if (!writeTimer) return;
+  clearTimeout(writeTimer);
+  writeTimer = null;
+
+  try {
+    fs.mkdirSync(CONFIG.DIR, { recursive: true });
+    fs.writeFileSync(`${file}.tmp`, snapshot(), { mode: 0o600 });
+    fs.renameSync(`${file}.tmp`, file);
+    lastError = null;
+  } catch (e) {
+    lastError = e.message;
+    console.error(`❌ Could not save user database: ${e.message}`);
+  }
+}
+
+function markChanged() {
+  if (writeTimer) return;
+  writeTimer = setTimeout(flushSync, CONFIG.WRITE_DELAY);
+  writeTimer.unref();
+}
+
+// ==================== USERS ====================
+
+function getUser(id) {
+  return users.get(id) || null;
+}
+
+function findUserByName(username) {
+  const id = usernames.get(String(username).toLowerCase());
+  return id ? users.get(id) : null;
+}
+
+function insertUser(user) {
+  users.set(user.id, user);
+  usernames.set(user.username.toLowerCase(), user.id);
+  markChanged();
+  return user;
+}
+
+// ==================== SESSIONS ====================
+
+function getSession(tokenHash) {
+  return sessions.get(tokenHash) || null;
+}
+
+function insertSession(tokenHash, session) {
+  sessions.set(tokenHash, session);
+  markChanged();
+}
+
+function deleteSession(tokenHash) {
+  const deleted = sessions.delete(tokenHash);
+  if (deleted) markChanged();
+  return deleted;
+}
+
+// Drop sessions older than maxAge; returns how many were removed
+function pruneSessions(maxAge) {
+  const cutoff = Date.now() - maxAge;
+  let removed = 0;
+
+  for (const [hash, session] of sessions) {
+    if (session.createdAt < cutoff) {
+      sessions.delete(hash);
+      removed++;
+    }
+  }
+
+  if (removed > 0) markChanged();
+  return removed;
+}
+
+function getUserStoreStats() {
+  return {
+    file,
+    users: users.size,
+    sessions: sessions.size,
+    pendingWrite: Boolean(writeTimer),
+    lastError
+  };
+}
+
+load();
+
+// A pending write is flushed on any exit, Ctrl+C / container stop included
+onShutdown(flushSync);
+
+export {
+  getUser,
+  findUserByName,
+  insertUser,
+  getSession,
+  insertSession,
+  deleteSession,
+  pruneSessions,
+  markChanged,
+  getUserStoreStats
+};
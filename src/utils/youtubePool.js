@@ -0,0 +1,464 @@
+import vm from 'vm';
+import { Innertube, Log, Platform } from 'youtubei.js';
+
+// Disable youtubei.js warnings
+Log.setLevel(Log.Level.NONE);
+
+// youtubei.js ships without a JS evaluator; deciphering signatures and the
+// n parameter runs the extracted player functions in an isolated VM context.
+Platform.shim.eval = (data, env) => {
+  const properties = [];
+  if (env.n) properties.push(`n: exportedVars.nFunction(${JSON.stringify(env.n)})`);
+  if (env.sig) properties.push(`sig: exportedVars.sigFunction(${JSON.stringify(env.sig)})`);
+
+  const code = `(function() {\n${data.output}\nreturn { ${properties.join(', ')} };\n})()`;
+  return vm.runInNewContext(code, {}, { timeout: CONFIG.EVAL_TIMEOUT });
+};
+
+// ==================== CONFIGURATION ====================
+const CONFIG = {
+  // Pool settings
+  POOL_SIZE: 5,                    // Number of YouTube instances in pool
+  REGION_POOL_SIZE: 1,             // Instances per non-default region pool
+  MAX_REGION_POOLS: 8,             // Least recently used idle region pools are dropped beyond this
+  REGION_POOL_IDLE_TIMEOUT: 1000 * 60 * 30,
+  PLAYER_POOL_SIZE: 2,             // Instances with the player script loaded (stream URLs)
+  DEFAULT_LOCATION: 'US',
+  MAX_CONCURRENT_REQUESTS: 20,     // Max parallel requests across all instances
+  MAX_REQUESTS_PER_INSTANCE: 4,    // Max concurrent requests per instance
+
+  // Timeouts
+  INSTANCE_TIMEOUT: 30000,         // 30 seconds
+  REQUEST_TIMEOUT: 25000,          // 25 seconds
+  EVAL_TIMEOUT: 5000,              // Player decipher script
+
+  // Instance refresh
+  INSTANCE_MAX_REQUESTS: 100,      // Refresh instance after N requests
+  INSTANCE_MAX_AGE: 1000 * 60 * 15, // Refresh instance after 15 minutes
+
+  // Retry settings
+  MAX_RETRIES: 2,
+  RETRY_DELAY: 500,
+};
+
+// ==================== INSTANCE POOL ====================
+class YouTubeInstancePool {
+  constructor({ size = CONFIG.POOL_SIZE, location = CONFIG.DEFAULT_LOCATION, retrievePlayer = false } = {}) {
+    this.size = size;
+    this.location = location;
+    this.retrievePlayer = retrievePlayer;
+    this.instances = [];
+    this.instanceStats = new Map();
+    this.initPromise = null;
+    this.isInitializing = false;
+  }
+
+  // Generate random visitor data for fresh session
+  generateVisitorData() {
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+    let result = 'Cgt';
+    for (let i = 0; i < 22; i++) {
+      result += chars.charAt(Math.floor(Math.random() * chars.length));
+    }
+    return result;
+  }
+
+  // Create a single YouTube instance
+  async createInstance() {
+    const instance = await Promise.race([
+      Innertube.create({
+        retrieve_player: this.retrievePlayer,
+        generate_session_locally: true,
+        enable_session_cache: false,
+        lang: 'en',
+        location: this.location,
+        visitor_data: this.generateVisitorData()
+      }),
+      new Promise((_, reject) =>
+        setTimeout(() => reject(new Error('Instance creation timeout')), CONFIG.INSTANCE_TIMEOUT)
+      )
+    ]);
+
+    const instanceId = `yt_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+    this.instanceStats.set(instanceId, {
+      createdAt: Date.now(),
+      requestCount: 0,
+      activeRequests: 0,
+      errors: 0,
+      lastUsed: Date.now()
+    });
+
+    return { id: instanceId, instance };
+  }
+
+  // Initialize the pool
+  async initialize() {
+    if (this.initPromise) return this.initPromise;
+    if (this.instances.length >= this.size) return;
+
+    this.isInitializing = true;
+    this.initPromise = (async () => {
+      console.log(`🔧 Initializing YouTube instance pool (size: ${this.size}, location: ${this.location})...`);
+
+      const createPromises = [];
+      for (let i = 0; i < this.size; i++) {
+        createPromises.push(
+          this.createInstance()
+            .then(inst => {
+              this.instances.push(inst);
+              console.log(`   ✅ Instance ${i + 1}/${this.size} created`);
+            })
+            .catch(err => {
+              console.error(`   ❌ Failed to create instance ${i + 1}: ${err.message}`);
+            })
+        );
+      }
+
+      await Promise.allSettled(createPromises);
+      console.log(`🎉 Pool initialized with ${this.instances.length} instances`);
+      this.isInitializing = false;
+
+      // Allow a later call to retry if every instance failed
+      if (this.instances.length === 0) {
+        this.initPromise = null;
+      }
+    })();
+
+    return this.initPromise;
+  }
+
+  // best available instance
+  async getInstance() {
+    await this.initialize();
+
+    if (this.instances.length === 0) {
+      throw new Error('No YouTube instances available');
+    }
+
+
+    let bestInstance = null;
+    let lowestLoad = Infinity;
+
+    for (const inst of this.instances) {
+      const stats = this.instanceStats.get(inst.id);
+      if (!stats) continue;
+
+      // Skiping if at capacity
+      if (stats.activeRequests >= CONFIG.MAX_REQUESTS_PER_INSTANCE) continue;
+
+      // Checking if instance needs refresh
+      const needsRefresh =
+        stats.requestCount >= CONFIG.INSTANCE_MAX_REQUESTS ||
+        Date.now() - stats.createdAt >= CONFIG.INSTANCE_MAX_AGE;
+
+      if (needsRefresh && stats.activeRequests === 0) {
+        // Refreshing this instance in background
+        this.refreshInstance(inst.id);
+        continue;
+      }
+
+      // Calculate load score (active requests + error penalty)
+      const loadScore = stats.activeRequests + (stats.errors * 0.5);
+
+      if (loadScore < lowestLoad) {
+        lowestLoad = loadScore;
+        bestInstance = inst;
+      }
+    }
+
+    // If all instances are busy, wait and retry
+    if (!bestInstance) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      return this.getInstance();
+    }
+
+    return bestInstance;
+  }
+
+  // Acquiring an instance for a request
+  async acquire() {
+    const inst = await this.getInstance();
+    const stats = this.instanceStats.get(inst.id);
+
+    if (stats) {
+      stats.activeRequests++;
+      stats.lastUsed = Date.now();
+    }
+
+    return inst;
+  }
+
+  // Releaseing an instance after request completes
+  release(instanceId, hadError = false) {
+    const stats = this.instanceStats.get(instanceId);
+    if (stats) {
+      stats.activeRequests = Math.max(0, stats.activeRequests - 1);
+      stats.requestCount++;
+      if (hadError) stats.errors++;
+    }
+  }
+
+  // Refreshing a specific instance
+  async refreshInstance(instanceId) {
+    const index = this.instances.findIndex(i => i.id === instanceId);
+    if (index === -1) return;
+
+    const stats = this.instanceStats.get(instanceId);
+    if (stats?.refreshing) return;
+    if (stats) stats.refreshing = true;
+
+    try {
+      console.log(`🔄 Refreshing instance ${instanceId.slice(-8)}...`);
+      const newInst = await this.createInstance();
+
+      // Removeing old stats
+      this.instanceStats.delete(instanceId);
+
+      // Replaceing instance
+      const currentIndex = this.instances.findIndex(i => i.id === instanceId);
+      if (currentIndex !== -1) this.instances[currentIndex] = newInst;
+
+      console.log(`✅ Instance refreshed: ${newInst.id.slice(-8)}`);
+    } catch (err) {
+      if (stats) stats.refreshing = false;
+      console.error(`❌ Failed to refresh instance: ${err.message}`);
+    }
+  }
+
+  hasActiveRequests() {
+    return this.instances.some(inst => this.instanceStats.get(inst.id)?.activeRequests > 0);
+  }
+
+  // Get pool statistics
+  getStats() {
+    const stats = {
+      location: this.location,
+      totalInstances: this.instances.length,
+      instances: []
+    };
+
+    for (const inst of this.instances) {
+      const instStats = this.instanceStats.get(inst.id);
+      if (instStats) {
+        stats.instances.push({
+          id: inst.id.slice(-8),
+          activeRequests: instStats.activeRequests,
+          totalRequests: instStats.requestCount,
+          errors: instStats.errors,
+          age: Math.round((Date.now() - instStats.createdAt) / 1000) + 's'
+        });
+      }
+    }
+
+    return stats;
+  }
+}
+
+// ==================== REQUEST QUEUE / SEMAPHORE ====================
+class RequestSemaphore {
+  constructor(maxConcurrent) {
+    this.maxConcurrent = maxConcurrent;
+    this.currentCount = 0;
+    this.waitingQueue = [];
+  }
+
+  async acquire() {
+    if (this.currentCount < this.maxConcurrent) {
+      this.currentCount++;
+      return;
+    }
+
+    // Wait in queue
+    return new Promise(resolve => {
+      this.waitingQueue.push(resolve);
+    });
+  }
+
+  release() {
+    if (this.waitingQueue.length > 0) {
+      const next = this.waitingQueue.shift();
+      next();
+    } else {
+      this.currentCount = Math.max(0, this.currentCount - 1);
+    }
+  }
+
+  getStats() {
+    return {
+      active: this.currentCount,
+      waiting: this.waitingQueue.length,
+      max: this.maxConcurrent
+    };
+  }
+}
+
+// ==================== GLOBAL INSTANCES ====================
+const instancePool = new YouTubeInstancePool();
+const playerPool = new YouTubeInstancePool({ size: CONFIG.PLAYER_POOL_SIZE, retrievePlayer: true });
+const regionPools = new Map();
+const requestSemaphore = new RequestSemaphore(CONFIG.MAX_CONCURRENT_REQUESTS);
+const consumerStats = new Map();
+
+// Drop region pools idle for too long, then the least recently used idle ones
+// until at most `limit` remain. Pools with requests in flight are never dropped.
+function pruneRegionPools(limit) {
+  const now = Date.now();
+
+  for (const [region, pool] of regionPools) {
+    if (now - pool.lastUsed > CONFIG.REGION_POOL_IDLE_TIMEOUT && !pool.hasActiveRequests()) {
+      regionPools.delete(region);
+    }
+  }
+
+  // Map order is insertion order; getPoolForRegion re-inserts on use, so the oldest come first
+  for (const [region, pool] of regionPools) {
+    if (regionPools.size <= limit) break;
+    if (!pool.hasActiveRequests()) regionPools.delete(region);
+  }
+}
+
+function getPoolForRegion(region = CONFIG.DEFAULT_LOCATION) {
+  if (!region || region === CONFIG.DEFAULT_LOCATION) return instancePool;
+
+  let pool = regionPools.get(region);
+  if (pool) {
+    regionPools.delete(region);
+  } else {
+    pruneRegionPools(CONFIG.MAX_REGION_POOLS - 1);
+    pool = new YouTubeInstancePool({ size: CONFIG.REGION_POOL_SIZE, location: region });
+  }
+
+  pool.lastUsed = Date.now();
+  regionPools.set(region, pool);
+  return pool;
+}
+
+function getConsumerStats(consumer) {
+  if (!consumerStats.has(consumer)) {
+    consumerStats.set(consumer, {
+      requests: 0,
+      active: 0,
+      errors: 0,
+      retries: 0,
+      timeouts: 0,
+      totalLatencyMs: 0,
+      lastUsed: null
+    });
+  }
+  return consumerStats.get(consumer);
+}
+
+// ==================== HELPER: Execute with instance ====================
+async function executeWithInstance(operation, options = {}) {
+  const {
+    retries = CONFIG.MAX_RETRIES,
+    timeout = CONFIG.REQUEST_TIMEOUT,
+    consumer = 'default',
+    region = CONFIG.DEFAULT_LOCATION,
+    player = false                  // true: instance can decipher stream URLs
+  } = options;
+
+  const pool = player ? playerPool : getPoolForRegion(region);
+  const usage = getConsumerStats(consumer);
+  const startedAt = Date.now();
+
+  usage.requests++;
+  usage.active++;
+  usage.lastUsed = startedAt;
+
+  // Acquire semaphore slot
+  await requestSemaphore.acquire();
+
+  let lastError;
+  let attempts = 0;
+
+  try {
+    while (attempts <= retries) {
+      const inst = await pool.acquire();
+      let timer;
+
+      try {
+        // Execute with timeout
+        const result = await Promise.race([
+          operation(inst.instance),
+          new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error('Request timeout')), timeout);
+          })
+        ]);
+
+        pool.release(inst.id, false);
+        return result;
+
+      } catch (error) {
+        lastError = error;
+        pool.release(inst.id, true);
+        if (error.message === 'Request timeout') usage.timeouts++;
+
+        attempts++;
+
+        if (attempts <= retries) {
+          usage.retries++;
+          console.log(`⚠️ Retry ${attempts}/${retries} after error: ${error.message}`);
+          await new Promise(r => setTimeout(r, CONFIG.RETRY_DELAY * attempts));
+        }
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+
+    usage.errors++;
+    throw lastError;
+
+  } finally {
+    usage.active--;
+    usage.totalLatencyMs += Date.now() - startedAt;
+    requestSemaphore.release();
+  }
+}
+
+// ==================== UTILITY FUNCTIONS ====================
+
+// Get pool statistics (useful for monitoring)
+function getPoolStats() {
+  const consumers = {};
+  for (const [name, usage] of consumerStats) {
+    consumers[name] = {
+      requests: usage.requests,
+      active: usage.active,
+      errors: usage.errors,
+      retries: usage.retries,
+      timeouts: usage.timeouts,
+      avgLatencyMs: usage.requests > 0 ? Math.round(usage.totalLatencyMs / usage.requests) : 0,
+      lastUsed: usage.lastUsed
+    };
+  }
+
+  const regions = {};
+  for (const [region, pool] of regionPools) {
+    regions[region] = pool.getStats();
+  }
+
+  return {
+    pool: instancePool.getStats(),
+    player: playerPool.getStats(),
+    regions,
+    semaphore: requestSemaphore.getStats(),
+    consumers
+  };
+}
+
+// Pre-warm the pool (call on server startup)
+async function warmupPool() {
+  console.log('🚀 Warming up instance pool...');
+  await instancePool.initialize();
+  console.log('✅ Pool warmed up and ready');
+  return getPoolStats();
+}
+
+export {
+  CONFIG as POOL_CONFIG,
+  executeWithInstance,
+  getPoolStats,
+  warmupPool
+};